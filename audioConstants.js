@@ -3,14 +3,50 @@
  * Used by both Web Audio API (renderer) and FFmpeg (main process)
  */
 
-const AUDIO_CONSTANTS = {
-  // EQ Frequencies (Hz)
-  EQ: {
-    LOW_FREQ: 80,
-    LOW_MID_FREQ: 250,
-    MID_FREQ: 1000,
-    HIGH_MID_FREQ: 4000,
-    HIGH_FREQ: 12000
+// EQ Frequencies (Hz) of the default parametric EQ bands
+const EQ = {
+  LOW_FREQ: 80,
+  LOW_MID_FREQ: 250,
+  MID_FREQ: 1000,
+  HIGH_MID_FREQ: 4000,
+  HIGH_FREQ: 12000
+};
+
+export const AUDIO_CONSTANTS = {
+  EQ,
+
+  // Parametric EQ. `type` names map to BiquadFilterNode types; Q is the
+  // linear quality factor for every type (shelves ignore it in Web Audio).
+  // `routing` picks what a band filters: both channels, or only the mid,
+  // side, left or right signal. All run at the EQ position: stereo bands
+  // first, then left/right and mid/side bands on their own channel split
+  // and M/S matrix (see buildEQStage in the renderer).
+  // DEFAULT_BANDS is the classic 5-band layout that EQ_PRESETS apply to.
+  PARAMETRIC_EQ: {
+    MAX_BANDS: 8,
+    MIN_FREQ: 20,
+    MAX_FREQ: 20000,
+    MIN_GAIN: -12,
+    MAX_GAIN: 12,
+    MIN_Q: 0.1,
+    MAX_Q: 18,
+    TYPES: {
+      bell: { name: 'Bell', filterType: 'peaking', hasGain: true, hasQ: true, defaultQ: 1 },
+      lowShelf: { name: 'Low Shelf', filterType: 'lowshelf', hasGain: true, hasQ: false, defaultQ: Math.SQRT1_2 },
+      highShelf: { name: 'High Shelf', filterType: 'highshelf', hasGain: true, hasQ: false, defaultQ: Math.SQRT1_2 },
+      highPass: { name: 'High Pass', filterType: 'highpass', hasGain: false, hasQ: true, defaultQ: Math.SQRT1_2 },
+      lowPass: { name: 'Low Pass', filterType: 'lowpass', hasGain: false, hasQ: true, defaultQ: Math.SQRT1_2 },
+      notch: { name: 'Notch', filterType: 'notch', hasGain: false, hasQ: true, defaultQ: 4 }
+    },
+    ROUTINGS: { stereo: 'Stereo', mid: 'Mid', side: 'Side', left: 'Left', right: 'Right' },
+    DEFAULT_BANDS: [
+      { type: 'lowShelf', frequency: EQ.LOW_FREQ, gain: 0, q: Math.SQRT1_2, routing: 'stereo' },
+      { type: 'bell', frequency: EQ.LOW_MID_FREQ, gain: 0, q: 1, routing: 'stereo' },
+      { type: 'bell', frequency: EQ.MID_FREQ, gain: 0, q: 1, routing: 'stereo' },
+      { type: 'bell', frequency: EQ.HIGH_MID_FREQ, gain: 0, q: 1, routing: 'stereo' },
+      { type: 'highShelf', frequency: EQ.HIGH_FREQ, gain: 0, q: Math.SQRT1_2, routing: 'stereo' }
+    ],
+    PRESET_KEYS: ['low', 'lowMid', 'mid', 'highMid', 'high']  // EQ_PRESETS gain per DEFAULT_BANDS entry
   },
 
   // Highpass filter (Clean Low End)
@@ -45,10 +81,32 @@ const AUDIO_CONSTANTS = {
     FFMPEG: {
       BAND_1: { FREQUENCY: 4000, Q: 2, GAIN: -2 },
       BAND_2: { FREQUENCY: 6000, Q: 1.5, GAIN: -1.5 }
+    },
+    // Dynamic mode: the FFMPEG bands only cut while their level is above the
+    // threshold (dBFS of the bandpassed signal), by at most RANGE_DB
+    MODES: { static: 'Static', dynamic: 'Dynamic' },
+    DYNAMIC: {
+      THRESHOLD_DB: -30,
+      RANGE_DB: 6
     }
   },
 
-  // Glue compression
+  // Saturation (WaveShaper, between the EQ and the compressors). Curves cover
+  // ±HEADROOM (linear), so peaks up to +12 dBFS after the EQ aren't hard-clipped.
+  SATURATION: {
+    MODES: { tape: 'Tape', tube: 'Tube', softClip: 'Soft Clip' },
+    OVERSAMPLING: ['2x', '4x'],
+    DRIVE_DB: 6,
+    MAX_DRIVE_DB: 24,
+    MIX: 100,
+    OUTPUT_DB: 0,
+    HEADROOM: 4,
+    CURVE_SIZE: 8193,   // Odd, so one point sits exactly at 0 (no DC offset)
+    TUBE_BIAS: 0.3
+  },
+
+  // Glue compression. Auto makeup restores half the reduction a full-scale
+  // signal would get; the sidechain highpass (0 = off) keeps bass from pumping it.
   COMPRESSION: {
     THRESHOLD_DB: -18,
     THRESHOLD_LINEAR: 0.125,  // Math.pow(10, -18/20) ≈ 0.125
@@ -56,16 +114,53 @@ const AUDIO_CONSTANTS = {
     ATTACK_MS: 20,
     RELEASE_MS: 250,
     KNEE: 10,
-    MAKEUP: 1
+    MAKEUP: 1,
+    MAKEUP_DB: 0,
+    AUTO_MAKEUP: true,
+    SIDECHAIN_HPF_HZ: 0,
+    SIDECHAIN_HPF_FREQUENCIES: [0, 60, 100, 150, 200, 300]
   },
 
-  // Limiter
+  // Multiband compressor: Linkwitz-Riley (LR4) crossovers split the signal into
+  // BAND_COUNTS bands, each with its own compressor and makeup gain. Attack and
+  // release are in ms. DEFAULT_CROSSOVERS is keyed by band count.
+  MULTIBAND: {
+    BAND_COUNTS: [3, 4],
+    MAX_BANDS: 4,
+    MIN_CROSSOVER: 40,
+    MAX_CROSSOVER: 16000,
+    MIN_CROSSOVER_RATIO: 1.5,   // Adjacent crossovers at least this far apart
+    DEFAULT_CROSSOVERS: { 3: [120, 2500], 4: [120, 800, 5000] },
+    MIN_THRESHOLD: -60,
+    MAX_THRESHOLD: 0,
+    MIN_RATIO: 1,
+    MAX_RATIO: 20,
+    MIN_ATTACK_MS: 0.5,
+    MAX_ATTACK_MS: 500,
+    MIN_RELEASE_MS: 10,
+    MAX_RELEASE_MS: 1000,
+    MIN_MAKEUP: -12,
+    MAX_MAKEUP: 12,
+    KNEE: 6,
+    DEFAULT_BAND: { threshold: -20, ratio: 2, attack: 20, release: 200, makeup: 0, bypass: false }
+  },
+
+  // Clipper before the limiter (AudioWorklet). The threshold is its output
+  // ceiling; SHAPES order matches the worklet's shape index. Latency is the same
+  // at every oversampling factor and when off.
+  CLIPPER: {
+    SHAPES: { hard: 'Hard', cubic: 'Cubic', sine: 'Sine' },
+    THRESHOLD_DB: -3,
+    OVERSAMPLING: [1, 2, 4],
+    LATENCY_SAMPLES: 64
+  },
+
+  // Limiter (lookahead true-peak brickwall, AudioWorklet - see
+  // src/worklets/limiter-processor.js; 4x oversampled detection)
   LIMITER: {
     DEFAULT_CEILING_DB: -1,
-    RATIO: 20,
-    ATTACK_MS: 0.1,
-    RELEASE_MS: 50,
-    KNEE: 0
+    LOOKAHEAD_MS: 5,
+    RELEASE_MS: 50
   },
 
   // Loudness normalization
@@ -75,9 +170,37 @@ const AUDIO_CONSTANTS = {
     LRA: 11
   },
 
-  // Crossfeed (Center Bass) - export only, no Web Audio equivalent
-  CROSSFEED: {
-    STRENGTH: 0.3
+  // Delivery profiles: target loudness, max true peak and recommended output format
+  // set together. Custom profiles are validated with validateDeliveryProfile().
+  // `playback` describes the platform's own playback normalization: reference
+  // level, and whether quiet tracks are turned up (peak-limited to -1 dBTP).
+  DELIVERY_PROFILES: {
+    loud: { name: 'Loud Master', targetLufs: -9, maxTruePeakDb: -1, sampleRate: 44100, bitDepth: 16 },
+    spotify: { name: 'Spotify', targetLufs: -14, maxTruePeakDb: -1, sampleRate: 44100, bitDepth: 16,
+      playback: { referenceLufs: -14, turnsUp: true } },
+    appleMusic: { name: 'Apple Music', targetLufs: -16, maxTruePeakDb: -1, sampleRate: 44100, bitDepth: 24,
+      playback: { referenceLufs: -16, turnsUp: true } },
+    youtube: { name: 'YouTube', targetLufs: -14, maxTruePeakDb: -1, sampleRate: 48000, bitDepth: 24,
+      playback: { referenceLufs: -14, turnsUp: false } },
+    tidal: { name: 'Tidal', targetLufs: -14, maxTruePeakDb: -1, sampleRate: 44100, bitDepth: 24,
+      playback: { referenceLufs: -14, turnsUp: false } },
+    amazon: { name: 'Amazon Music', targetLufs: -14, maxTruePeakDb: -2, sampleRate: 44100, bitDepth: 24,
+      playback: { referenceLufs: -14, turnsUp: false } },
+    soundcloud: { name: 'SoundCloud', targetLufs: -14, maxTruePeakDb: -1, sampleRate: 44100, bitDepth: 16,
+      playback: { referenceLufs: -14, turnsUp: false } },
+    ebuR128: { name: 'EBU R128 Broadcast', targetLufs: -23, maxTruePeakDb: -1, sampleRate: 48000, bitDepth: 24,
+      playback: { referenceLufs: -23, turnsUp: true } },
+    atscA85: { name: 'ATSC A/85', targetLufs: -24, maxTruePeakDb: -2, sampleRate: 48000, bitDepth: 24,
+      playback: { referenceLufs: -24, turnsUp: true } }
+  },
+  DEFAULT_DELIVERY_PROFILE: 'loud',
+
+  // Mono bass (Center Bass) - LR4 crossover in the M/S stage, side below it is removed.
+  // ALLPASS_Q is the (linear) Q of the mid allpass matching the LR4 phase.
+  MONO_BASS: {
+    DEFAULT_FREQUENCY: 80,
+    FREQUENCIES: [60, 80, 100, 120, 150, 200],
+    ALLPASS_Q: Math.SQRT1_2
   },
 
   // Output formats
@@ -90,7 +213,7 @@ const AUDIO_CONSTANTS = {
 };
 
 // EQ Presets
-const EQ_PRESETS = {
+export const EQ_PRESETS = {
   flat: { low: 0, lowMid: 0, mid: 0, highMid: 0, high: 0 },
   vocal: { low: -2, lowMid: -1, mid: 2, highMid: 3, high: 1 },
   bass: { low: 6, lowMid: 3, mid: 0, highMid: -1, high: -2 },
@@ -102,32 +225,69 @@ const EQ_PRESETS = {
 /**
  * Settings schema with defaults and validation
  */
-const SETTINGS_SCHEMA = {
+export const SETTINGS_SCHEMA = {
   // Loudness (export only)
   normalizeLoudness: { type: 'boolean', default: true },
+  targetLufs: { type: 'number', default: -9, min: -24, max: -6 },
   truePeakLimit: { type: 'boolean', default: true },
-  truePeakCeiling: { type: 'number', default: -1, min: -3, max: 0 },
+  truePeakCeiling: { type: 'number', default: AUDIO_CONSTANTS.LIMITER.DEFAULT_CEILING_DB, min: -6, max: 0 },
 
   // Quick Fix
   glueCompression: { type: 'boolean', default: false },
+  glueThreshold: { type: 'number', default: AUDIO_CONSTANTS.COMPRESSION.THRESHOLD_DB, min: -40, max: 0 },
+  glueRatio: { type: 'number', default: AUDIO_CONSTANTS.COMPRESSION.RATIO, min: 1, max: 10 },
+  glueAttack: { type: 'number', default: AUDIO_CONSTANTS.COMPRESSION.ATTACK_MS, min: 0.1, max: 100 },
+  glueRelease: { type: 'number', default: AUDIO_CONSTANTS.COMPRESSION.RELEASE_MS, min: 20, max: 1000 },
+  glueKnee: { type: 'number', default: AUDIO_CONSTANTS.COMPRESSION.KNEE, min: 0, max: 24 },
+  glueMakeup: { type: 'number', default: AUDIO_CONSTANTS.COMPRESSION.MAKEUP_DB, min: -6, max: 12 },
+  glueAutoMakeup: { type: 'boolean', default: AUDIO_CONSTANTS.COMPRESSION.AUTO_MAKEUP },
+  glueSidechainHz: {
+    type: 'number',
+    default: AUDIO_CONSTANTS.COMPRESSION.SIDECHAIN_HPF_HZ,
+    allowed: AUDIO_CONSTANTS.COMPRESSION.SIDECHAIN_HPF_FREQUENCIES
+  },
   cleanLowEnd: { type: 'boolean', default: true },
   centerBass: { type: 'boolean', default: false },
+  centerBassFreq: {
+    type: 'number',
+    default: AUDIO_CONSTANTS.MONO_BASS.DEFAULT_FREQUENCY,
+    allowed: AUDIO_CONSTANTS.MONO_BASS.FREQUENCIES
+  },
 
   // Polish
   cutMud: { type: 'boolean', default: false },
   addAir: { type: 'boolean', default: false },
   tameHarsh: { type: 'boolean', default: false },
+  tameHarshMode: { type: 'string', default: 'static', allowed: Object.keys(AUDIO_CONSTANTS.HARSHNESS.MODES) },
+  harshThreshold: { type: 'number', default: AUDIO_CONSTANTS.HARSHNESS.DYNAMIC.THRESHOLD_DB, min: -60, max: 0 },
+  harshRange: { type: 'number', default: AUDIO_CONSTANTS.HARSHNESS.DYNAMIC.RANGE_DB, min: 0, max: 12 },
+
+  // Saturation
+  saturation: { type: 'boolean', default: false },
+  saturationMode: { type: 'string', default: 'tape', allowed: Object.keys(AUDIO_CONSTANTS.SATURATION.MODES) },
+  saturationDrive: { type: 'number', default: AUDIO_CONSTANTS.SATURATION.DRIVE_DB, min: 0, max: AUDIO_CONSTANTS.SATURATION.MAX_DRIVE_DB },
+  saturationMix: { type: 'number', default: AUDIO_CONSTANTS.SATURATION.MIX, min: 0, max: 100 },
+  saturationOutput: { type: 'number', default: AUDIO_CONSTANTS.SATURATION.OUTPUT_DB, min: -12, max: 12 },
+  saturationOversample: { type: 'string', default: '4x', allowed: AUDIO_CONSTANTS.SATURATION.OVERSAMPLING },
+
+  // Clipper (before the limiter)
+  clipper: { type: 'boolean', default: false },
+  clipperThreshold: { type: 'number', default: AUDIO_CONSTANTS.CLIPPER.THRESHOLD_DB, min: -12, max: 0 },
+  clipperShape: { type: 'string', default: 'cubic', allowed: Object.keys(AUDIO_CONSTANTS.CLIPPER.SHAPES) },
+  clipperOversample: { type: 'number', default: 4, allowed: AUDIO_CONSTANTS.CLIPPER.OVERSAMPLING },
 
   // Output
   sampleRate: { type: 'number', default: 44100, allowed: [44100, 48000] },
   bitDepth: { type: 'number', default: 16, allowed: [16, 24] },
 
-  // EQ (range: -12 to +12 dB)
-  eqLow: { type: 'number', default: 0, min: -12, max: 12 },
-  eqLowMid: { type: 'number', default: 0, min: -12, max: 12 },
-  eqMid: { type: 'number', default: 0, min: -12, max: 12 },
-  eqHighMid: { type: 'number', default: 0, min: -12, max: 12 },
-  eqHigh: { type: 'number', default: 0, min: -12, max: 12 }
+  // Linear-phase EQ and Polish filters (export only)
+  linearPhaseEQ: { type: 'boolean', default: false },
+
+  // Parametric EQ bands (see validateEQBands)
+  eqBands: { type: 'eqBands', default: AUDIO_CONSTANTS.PARAMETRIC_EQ.DEFAULT_BANDS },
+
+  // Multiband compressor (see validateMultiband)
+  multiband: { type: 'multiband', default: validateMultiband() }
 };
 
 /**
@@ -135,7 +295,7 @@ const SETTINGS_SCHEMA = {
  * @param {Object} settings - Raw settings from UI
  * @returns {Object} Validated settings with defaults applied
  */
-function validateSettings(settings = {}) {
+export function validateSettings(settings = {}) {
   const validated = {};
 
   for (const [key, schema] of Object.entries(SETTINGS_SCHEMA)) {
@@ -162,6 +322,12 @@ function validateSettings(settings = {}) {
         const max = schema.max ?? Infinity;
         validated[key] = Math.max(min, Math.min(max, value));
       }
+    } else if (schema.type === 'string') {
+      validated[key] = schema.allowed.includes(value) ? value : schema.default;
+    } else if (schema.type === 'eqBands') {
+      validated[key] = validateEQBands(value);
+    } else if (schema.type === 'multiband') {
+      validated[key] = validateMultiband(value);
     } else {
       validated[key] = value;
     }
@@ -174,7 +340,7 @@ function validateSettings(settings = {}) {
  * Get default settings
  * @returns {Object} Default settings object
  */
-function getDefaultSettings() {
+export function getDefaultSettings() {
   const defaults = {};
   for (const [key, schema] of Object.entries(SETTINGS_SCHEMA)) {
     defaults[key] = schema.default;
@@ -182,7 +348,135 @@ function getDefaultSettings() {
   return defaults;
 }
 
-// For CommonJS (main process)
-if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { AUDIO_CONSTANTS, EQ_PRESETS, SETTINGS_SCHEMA, validateSettings, getDefaultSettings };
+/**
+ * Makeup gain the glue compressor applies: with auto makeup, half the gain
+ * reduction a full-scale (0 dBFS) signal would get
+ * @param {Object} settings - { glueThreshold, glueRatio, glueMakeup, glueAutoMakeup }
+ * @returns {number} Makeup gain in dB
+ */
+export function getGlueMakeupDb({ glueThreshold, glueRatio, glueMakeup, glueAutoMakeup }) {
+  if (!glueAutoMakeup) return glueMakeup;
+  return -glueThreshold * (1 - 1 / glueRatio) / 2;
+}
+
+/**
+ * Validate a (custom) delivery profile, clamping values to what the export supports
+ * @param {Object} profile - { name, targetLufs, maxTruePeakDb, sampleRate, bitDepth }
+ * @returns {Object|null} Validated profile, or null if it has no usable name or target
+ */
+export function validateDeliveryProfile(profile = {}) {
+  const name = typeof profile.name === 'string' ? profile.name.trim() : '';
+  const targetLufs = Number(profile.targetLufs);
+  if (!name || isNaN(targetLufs)) return null;
+
+  const validated = validateSettings({
+    targetLufs,
+    truePeakCeiling: profile.maxTruePeakDb,
+    sampleRate: profile.sampleRate,
+    bitDepth: profile.bitDepth
+  });
+
+  return {
+    name,
+    targetLufs: validated.targetLufs,
+    maxTruePeakDb: validated.truePeakCeiling,
+    sampleRate: validated.sampleRate,
+    bitDepth: validated.bitDepth
+  };
+}
+
+/**
+ * Validate one parametric EQ band, clamping frequency, gain and Q to the supported range
+ * @param {Object} band - { type, frequency, gain, q, routing }
+ * @returns {Object|null} Validated band, or null if the type is unknown
+ */
+export function validateEQBand(band = {}) {
+  const { TYPES, ROUTINGS, MIN_FREQ, MAX_FREQ, MIN_GAIN, MAX_GAIN, MIN_Q, MAX_Q } = AUDIO_CONSTANTS.PARAMETRIC_EQ;
+  const type = TYPES[band.type];
+  if (!type) return null;
+
+  const clamp = (value, min, max, fallback) => {
+    const number = Number(value);
+    return isNaN(number) ? fallback : Math.max(min, Math.min(max, number));
+  };
+
+  return {
+    type: band.type,
+    frequency: clamp(band.frequency, MIN_FREQ, MAX_FREQ, 1000),
+    gain: type.hasGain ? clamp(band.gain, MIN_GAIN, MAX_GAIN, 0) : 0,
+    q: clamp(band.q, MIN_Q, MAX_Q, type.defaultQ),
+    routing: ROUTINGS[band.routing] ? band.routing : 'stereo'
+  };
+}
+
+/**
+ * Validate a list of parametric EQ bands, dropping invalid ones and any past MAX_BANDS
+ * @returns {Object[]} Validated bands
+ */
+export function validateEQBands(bands) {
+  if (!Array.isArray(bands)) return AUDIO_CONSTANTS.PARAMETRIC_EQ.DEFAULT_BANDS.map(validateEQBand);
+  return bands
+    .map(validateEQBand)
+    .filter(Boolean)
+    .slice(0, AUDIO_CONSTANTS.PARAMETRIC_EQ.MAX_BANDS);
+}
+
+/**
+ * Apply an EQ_PRESETS entry to the default 5-band layout
+ * @param {Object} preset - { low, lowMid, mid, highMid, high } gains in dB
+ * @returns {Object[]} Parametric EQ bands
+ */
+export function eqPresetToBands(preset) {
+  const { DEFAULT_BANDS, PRESET_KEYS } = AUDIO_CONSTANTS.PARAMETRIC_EQ;
+  return validateEQBands(DEFAULT_BANDS.map((band, i) => ({ ...band, gain: preset[PRESET_KEYS[i]] || 0 })));
+}
+
+/**
+ * Validate multiband compressor settings. Crossovers are sorted, clamped and
+ * spread at least MIN_CROSSOVER_RATIO apart; there is one per band boundary,
+ * and one band entry per band.
+ * @param {Object} multiband - { enabled, bandCount, crossovers, bands }
+ * @returns {Object} Validated settings (defaults when called without arguments)
+ */
+export function validateMultiband(multiband = {}) {
+  const {
+    BAND_COUNTS, MIN_CROSSOVER, MAX_CROSSOVER, MIN_CROSSOVER_RATIO, DEFAULT_CROSSOVERS, DEFAULT_BAND,
+    MIN_THRESHOLD, MAX_THRESHOLD, MIN_RATIO, MAX_RATIO, MIN_ATTACK_MS, MAX_ATTACK_MS,
+    MIN_RELEASE_MS, MAX_RELEASE_MS, MIN_MAKEUP, MAX_MAKEUP
+  } = AUDIO_CONSTANTS.MULTIBAND;
+
+  const clamp = (value, min, max, fallback) => {
+    const number = Number(value);
+    return isNaN(number) ? fallback : Math.max(min, Math.min(max, number));
+  };
+
+  const bandCount = BAND_COUNTS.includes(Number(multiband.bandCount)) ? Number(multiband.bandCount) : BAND_COUNTS[0];
+  const defaults = DEFAULT_CROSSOVERS[bandCount];
+  const requested = Array.isArray(multiband.crossovers) && multiband.crossovers.length === defaults.length
+    ? multiband.crossovers.map((freq, i) => clamp(freq, MIN_CROSSOVER, MAX_CROSSOVER, defaults[i])).sort((a, b) => a - b)
+    : defaults;
+
+  // Push crossovers apart from the bottom, then pull them back under MAX_CROSSOVER from the top
+  const crossovers = [...requested];
+  for (let i = 1; i < crossovers.length; i++) {
+    crossovers[i] = Math.max(crossovers[i], crossovers[i - 1] * MIN_CROSSOVER_RATIO);
+  }
+  crossovers[crossovers.length - 1] = Math.min(crossovers[crossovers.length - 1], MAX_CROSSOVER);
+  for (let i = crossovers.length - 2; i >= 0; i--) {
+    crossovers[i] = Math.min(crossovers[i], crossovers[i + 1] / MIN_CROSSOVER_RATIO);
+  }
+
+  const bands = Array.from({ length: bandCount }, (_, i) => {
+    const band = (Array.isArray(multiband.bands) && multiband.bands[i]) || {};
+    return {
+      threshold: clamp(band.threshold, MIN_THRESHOLD, MAX_THRESHOLD, DEFAULT_BAND.threshold),
+      ratio: clamp(band.ratio, MIN_RATIO, MAX_RATIO, DEFAULT_BAND.ratio),
+      attack: clamp(band.attack, MIN_ATTACK_MS, MAX_ATTACK_MS, DEFAULT_BAND.attack),
+      release: clamp(band.release, MIN_RELEASE_MS, MAX_RELEASE_MS, DEFAULT_BAND.release),
+      makeup: clamp(band.makeup, MIN_MAKEUP, MAX_MAKEUP, DEFAULT_BAND.makeup),
+      bypass: Boolean(band.bypass)
+    };
+  });
+
+  return { enabled: Boolean(multiband.enabled), bandCount, crossovers, bands };
 }
@@ -0,0 +1,102 @@
+/**
+ * linearPhase.js - Linear-phase FIR design for the export EQ
+ *
+ * The export can replace the minimum-phase EQ biquads with one FIR that has
+ * the same magnitude response and no phase shift (only a constant delay).
+ * The target magnitude is sampled on the FFT grid, turned into a zero-phase
+ * impulse by an inverse FFT, centred and Blackman-windowed. The result is
+ * symmetric, so its delay is exactly length / 2 samples.
+ */
+
+export const LINEAR_PHASE = {
+  // FIR taps (power of two). 2.7Hz resolution at 44.1kHz, enough for the
+  // 30Hz highpass and low shelves. Latency is half of this.
+  FIR_LENGTH: 16384
+};
+
+/**
+ * Frequencies (Hz) of the FFT bins 0..length/2 the magnitude is sampled at
+ * @returns {Float32Array}
+ */
+export function getLinearPhaseFrequencies(sampleRate, length = LINEAR_PHASE.FIR_LENGTH) {
+  const frequencies = new Float32Array(length / 2 + 1);
+  for (let k = 0; k < frequencies.length; k++) {
+    frequencies[k] = k * sampleRate / length;
+  }
+  return frequencies;
+}
+
+/**
+ * Delay (in samples) a linear-phase FIR of this length adds
+ */
+export function getLinearPhaseLatency(length = LINEAR_PHASE.FIR_LENGTH) {
+  return length / 2;
+}
+
+/**
+ * In-place iterative radix-2 FFT. `inverse` computes the unscaled inverse.
+ */
+function fft(re, im, inverse = false) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const angle = (inverse ? 2 : -2) * Math.PI / size;
+    const wRe = Math.cos(angle);
+    const wIm = Math.sin(angle);
+    for (let start = 0; start < n; start += size) {
+      let curRe = 1;
+      let curIm = 0;
+      for (let k = 0; k < size / 2; k++) {
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * curRe - im[b] * curIm;
+        const tIm = re[b] * curIm + im[b] * curRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+        const nextRe = curRe * wRe - curIm * wIm;
+        curIm = curRe * wIm + curIm * wRe;
+        curRe = nextRe;
+      }
+    }
+  }
+}
+
+/**
+ * Design a linear-phase FIR with the given magnitude response
+ * @param {ArrayLike<number>} magnitude - Linear gain at each getLinearPhaseFrequencies() bin
+ * @param {number} [length] - FIR length (power of two)
+ * @returns {Float32Array} Impulse response, centred on sample length / 2
+ */
+export function designLinearPhaseFIR(magnitude, length = LINEAR_PHASE.FIR_LENGTH) {
+  if (magnitude.length !== length / 2 + 1) {
+    throw new Error(`Expected ${length / 2 + 1} magnitude bins, got ${magnitude.length}`);
+  }
+
+  // Zero-phase (real, even) spectrum
+  const re = new Float64Array(length);
+  const im = new Float64Array(length);
+  for (let k = 0; k <= length / 2; k++) {
+    re[k] = magnitude[k];
+    if (k > 0 && k < length / 2) re[length - k] = magnitude[k];
+  }
+  fft(re, im, true);
+
+  // Rotate the zero-phase impulse to the centre and window it
+  const fir = new Float32Array(length);
+  const half = length / 2;
+  for (let n = 0; n < length; n++) {
+    const window = 0.42 - 0.5 * Math.cos(2 * Math.PI * n / length) + 0.08 * Math.cos(4 * Math.PI * n / length);
+    fir[n] = re[(n - half + length) % length] / length * window;
+  }
+  return fir;
+}
@@ -0,0 +1,437 @@
+/**
+ * loudness.js - LUFS, loudness range and true-peak measurement (ITU-R BS.1770-4)
+ * plus clipping detection
+ *
+ * Pure JavaScript with no DOM or Web Audio dependencies, so it runs in the
+ * renderer, in workers and under Node. Functions take any AudioBuffer-like
+ * object: { sampleRate, numberOfChannels, length, duration, getChannelData(ch) }.
+ */
+
+import { TRUE_PEAK_FILTER, TRUE_PEAK_FILTER_TAPS } from './truePeakFilter.js';
+
+// ITU-R BS.1770-4 K-weighting filter, as the analog prototype parameters that
+// reproduce the 48kHz coefficients published in the standard exactly. Deriving
+// from these (rather than a generic shelf/highpass design) keeps the filter
+// correct at 44.1kHz, 96kHz and any other rate.
+const K_WEIGHTING = {
+  HIGH_SHELF_FREQ: 1681.974450955533,   // Hz - Head-related transfer function correction
+  HIGH_SHELF_GAIN: 3.999843853973347,   // dB
+  HIGH_SHELF_Q: 0.7071752369554196,
+  HIGH_SHELF_BAND_EXP: 0.4996667741545416, // Band gain is HIGH_SHELF_GAIN scaled by this exponent
+  HIGH_PASS_FREQ: 38.13547087602444,    // Hz - DC blocking / rumble filter
+  HIGH_PASS_Q: 0.5003270373238773
+};
+
+// Channel weights by channel count (ITU-R BS.1770-4 table 3), in WAVE channel
+// order. Surrounds at +/-60..120 degrees get 1.41 (+1.5 dB), LFE is excluded.
+const CHANNEL_WEIGHTS = {
+  3: [1, 1, 1],                              // L R C
+  4: [1, 1, 1.41, 1.41],                     // L R Ls Rs (quad)
+  5: [1, 1, 1, 1.41, 1.41],                  // L R C Ls Rs (5.0)
+  6: [1, 1, 1, 0, 1.41, 1.41],               // L R C LFE Ls Rs (5.1)
+  8: [1, 1, 1, 0, 1, 1, 1.41, 1.41]          // L R C LFE Lb Rb Ls Rs (7.1)
+};
+
+// LUFS gating thresholds (ITU-R BS.1770-4)
+const LUFS_CONSTANTS = {
+  BLOCK_SIZE_SEC: 0.4,           // 400ms measurement blocks
+  BLOCK_OVERLAP: 0.75,           // 75% overlap (100ms hop)
+  ABSOLUTE_GATE_LUFS: -70,       // Absolute threshold in LUFS
+  ABSOLUTE_GATE_LINEAR: 1e-7,    // Math.pow(10, -70/10) = 1e-7
+  RELATIVE_GATE_OFFSET: 0.1,     // -10 dB below ungated mean (10^(-10/10) = 0.1)
+  LOUDNESS_OFFSET: -0.691,       // Reference offset for LUFS calculation
+  SHORT_TERM_SEC: 3              // Short-term window (EBU Tech 3341)
+};
+
+// Loudness Range gating and percentiles (EBU Tech 3342)
+const LRA_CONSTANTS = {
+  RELATIVE_GATE_OFFSET: 0.01,    // -20 dB below the absolute-gated mean
+  LOW_PERCENTILE: 0.10,
+  HIGH_PERCENTILE: 0.95
+};
+
+// Clipping detection
+const CLIPPING = {
+  FULL_SCALE: 0.999,             // ~-0.01 dBFS; lossy decoders rarely land exactly on 1.0
+  MIN_RUN_SAMPLES: 3             // Consecutive full-scale samples that count as a clip
+};
+
+/**
+ * Apply biquad filter to audio samples
+ */
+function applyBiquadFilter(samples, coeffs) {
+  const output = new Float32Array(samples.length);
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+  const { b0, b1, b2, a1, a2 } = coeffs;
+
+  for (let i = 0; i < samples.length; i++) {
+    const x0 = samples[i];
+    const y0 = b0 * x0 + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+    output[i] = y0;
+    x2 = x1; x1 = x0;
+    y2 = y1; y1 = y0;
+  }
+  return output;
+}
+
+/**
+ * Stage 1 of K-weighting: high shelf (bilinear transform of the BS.1770 prototype)
+ */
+function calcKShelfCoeffs(sampleRate) {
+  const K = Math.tan(Math.PI * K_WEIGHTING.HIGH_SHELF_FREQ / sampleRate);
+  const Q = K_WEIGHTING.HIGH_SHELF_Q;
+  const Vh = Math.pow(10, K_WEIGHTING.HIGH_SHELF_GAIN / 20);
+  const Vb = Math.pow(Vh, K_WEIGHTING.HIGH_SHELF_BAND_EXP);
+  const a0 = 1 + K / Q + K * K;
+
+  return {
+    b0: (Vh + Vb * K / Q + K * K) / a0,
+    b1: 2 * (K * K - Vh) / a0,
+    b2: (Vh - Vb * K / Q + K * K) / a0,
+    a1: 2 * (K * K - 1) / a0,
+    a2: (1 - K / Q + K * K) / a0
+  };
+}
+
+/**
+ * Stage 2 of K-weighting: RLB high pass. The standard specifies an unnormalized
+ * numerator of [1, -2, 1], so the passband gain is kept as published.
+ */
+function calcKHighPassCoeffs(sampleRate) {
+  const K = Math.tan(Math.PI * K_WEIGHTING.HIGH_PASS_FREQ / sampleRate);
+  const Q = K_WEIGHTING.HIGH_PASS_Q;
+  const a0 = 1 + K / Q + K * K;
+
+  return {
+    b0: 1,
+    b1: -2,
+    b2: 1,
+    a1: 2 * (K * K - 1) / a0,
+    a2: (1 - K / Q + K * K) / a0
+  };
+}
+
+/**
+ * K-weighting filter coefficients for a sample rate (shared with the live meter worklet)
+ */
+export function getKWeightingCoeffs(sampleRate) {
+  return {
+    shelf: calcKShelfCoeffs(sampleRate),
+    highPass: calcKHighPassCoeffs(sampleRate)
+  };
+}
+
+/**
+ * BS.1770 weight of every channel for a channel count
+ * @param {number} numChannels
+ * @param {Object} [options]
+ * @param {boolean} [options.dualMono=false] - Mono is reproduced on two speakers
+ *   (as the app plays and exports it), so it counts twice (+3 dB)
+ * @returns {number[]}
+ */
+export function getChannelWeights(numChannels, { dualMono = false } = {}) {
+  if (numChannels === 1) return [dualMono ? 2 : 1];
+  return CHANNEL_WEIGHTS[numChannels] || new Array(numChannels).fill(1);
+}
+
+/**
+ * K-weight an AudioBuffer and return the weighted channel sum of the mean square
+ * of every 100ms hop. Momentary (400ms) and short-term (3s) blocks are sums of
+ * consecutive hops, so the filtering only has to run once.
+ * @returns {{energies: Float64Array, hopSize: number}}
+ */
+function measureHopEnergies(audioBuffer, options = {}) {
+  const sampleRate = audioBuffer.sampleRate;
+  const numChannels = audioBuffer.numberOfChannels;
+  const length = audioBuffer.length;
+
+  const channels = [];
+  for (let ch = 0; ch < numChannels; ch++) {
+    channels.push(audioBuffer.getChannelData(ch));
+  }
+
+  // Apply K-weighting filters (ITU-R BS.1770-4); weight-0 channels (LFE) are skipped
+  const kWeighting = getKWeightingCoeffs(sampleRate);
+  const weights = getChannelWeights(numChannels, options);
+
+  const filteredChannels = channels.map((ch, index) => {
+    if (weights[index] === 0) return null;
+    let filtered = applyBiquadFilter(ch, kWeighting.shelf);
+    filtered = applyBiquadFilter(filtered, kWeighting.highPass);
+    return filtered;
+  });
+
+  // Mean square per hop (75% block overlap -> 100ms hops)
+  const hopSize = getHopSize(sampleRate);
+  const numHops = Math.floor(length / hopSize);
+  const energies = new Float64Array(numHops);
+
+  for (let hop = 0; hop < numHops; hop++) {
+    const start = hop * hopSize;
+    let weightedSum = 0;
+    for (let ch = 0; ch < numChannels; ch++) {
+      const channelData = filteredChannels[ch];
+      if (!channelData) continue;
+      let sumSquares = 0;
+      for (let i = start; i < start + hopSize; i++) {
+        sumSquares += channelData[i] * channelData[i];
+      }
+      weightedSum += weights[ch] * sumSquares;
+    }
+    energies[hop] = weightedSum / hopSize;
+  }
+
+  return { energies, hopSize };
+}
+
+/**
+ * Mean square of every sliding block of `hopsPerBlock` hops (one hop apart)
+ */
+function getBlockEnergies(hopEnergies, hopsPerBlock) {
+  const blocks = [];
+  let sum = 0;
+  for (let i = 0; i < hopEnergies.length; i++) {
+    sum += hopEnergies[i];
+    if (i >= hopsPerBlock) sum -= hopEnergies[i - hopsPerBlock];
+    if (i >= hopsPerBlock - 1) blocks.push(Math.max(0, sum) / hopsPerBlock);
+  }
+  return blocks;
+}
+
+function getHopSize(sampleRate) {
+  return Math.floor(sampleRate * LUFS_CONSTANTS.BLOCK_SIZE_SEC * (1 - LUFS_CONSTANTS.BLOCK_OVERLAP));
+}
+
+function getHopsPerBlock(seconds) {
+  const hopSec = LUFS_CONSTANTS.BLOCK_SIZE_SEC * (1 - LUFS_CONSTANTS.BLOCK_OVERLAP);
+  return Math.round(seconds / hopSec);
+}
+
+function energyToLUFS(meanSquare) {
+  return meanSquare > 0 ? LUFS_CONSTANTS.LOUDNESS_OFFSET + 10 * Math.log10(meanSquare) : -Infinity;
+}
+
+/**
+ * Gated integrated loudness of 400ms block energies (ITU-R BS.1770-4)
+ */
+function integrateBlocks(blocks) {
+  if (blocks.length === 0) return -Infinity;
+
+  // Absolute threshold gating (blocks below -70 LUFS are ignored)
+  let gatedBlocks = blocks.filter(ms => ms > LUFS_CONSTANTS.ABSOLUTE_GATE_LINEAR);
+  if (gatedBlocks.length === 0) return -Infinity;
+
+  // Relative threshold gating (-10 dB below ungated mean)
+  const ungatedMean = gatedBlocks.reduce((a, b) => a + b, 0) / gatedBlocks.length;
+  gatedBlocks = gatedBlocks.filter(ms => ms > ungatedMean * LUFS_CONSTANTS.RELATIVE_GATE_OFFSET);
+  if (gatedBlocks.length === 0) return -Infinity;
+
+  // Calculate integrated loudness
+  const gatedMean = gatedBlocks.reduce((a, b) => a + b, 0) / gatedBlocks.length;
+  return energyToLUFS(gatedMean);
+}
+
+/**
+ * Loudness Range (LU) from short-term block energies (EBU Tech 3342)
+ */
+function measureLoudnessRange(shortTermBlocks) {
+  let gatedBlocks = shortTermBlocks.filter(ms => ms > LUFS_CONSTANTS.ABSOLUTE_GATE_LINEAR);
+  if (gatedBlocks.length === 0) return 0;
+
+  const absoluteMean = gatedBlocks.reduce((a, b) => a + b, 0) / gatedBlocks.length;
+  gatedBlocks = gatedBlocks.filter(ms => ms > absoluteMean * LRA_CONSTANTS.RELATIVE_GATE_OFFSET);
+  if (gatedBlocks.length === 0) return 0;
+
+  const loudness = gatedBlocks.map(energyToLUFS).sort((a, b) => a - b);
+  const percentile = (p) => loudness[Math.min(loudness.length - 1, Math.round(p * (loudness.length - 1)))];
+  return percentile(LRA_CONSTANTS.HIGH_PERCENTILE) - percentile(LRA_CONSTANTS.LOW_PERCENTILE);
+}
+
+/**
+ * Gated integrated loudness of 100ms hop energies
+ */
+function integrateHops(hopEnergies) {
+  return integrateBlocks(getBlockEnergies(hopEnergies, getHopsPerBlock(LUFS_CONSTANTS.BLOCK_SIZE_SEC)));
+}
+
+/**
+ * Measure integrated loudness (LUFS) of an AudioBuffer
+ * Based on ITU-R BS.1770-4
+ * @param {Object} [options] - See getChannelWeights()
+ */
+export function measureLUFS(audioBuffer, options = {}) {
+  // Minimum block size required for LUFS measurement
+  if (audioBuffer.duration < LUFS_CONSTANTS.BLOCK_SIZE_SEC) {
+    console.warn(`[LUFS] Audio too short for reliable measurement (< ${LUFS_CONSTANTS.BLOCK_SIZE_SEC * 1000}ms)`);
+    return -Infinity; // Callers skip normalization for unmeasurable audio
+  }
+
+  return integrateHops(measureHopEnergies(audioBuffer, options).energies);
+}
+
+/**
+ * Scan the true peak of an AudioBuffer, overall and per 100ms hop
+ * Based on ITU-R BS.1770-4 Annex 2 (4x oversampled inter-sample peak detection)
+ * @returns {{peak: number, hopPeaks: Float32Array}} Linear peaks
+ */
+export function scanTruePeak(audioBuffer) {
+  const numChannels = audioBuffer.numberOfChannels;
+  const length = audioBuffer.length;
+  const taps = TRUE_PEAK_FILTER_TAPS;
+  const hopSize = getHopSize(audioBuffer.sampleRate);
+  const hopPeaks = new Float32Array(Math.max(1, Math.ceil(length / hopSize)));
+  const lastHop = hopPeaks.length - 1;
+
+  for (let ch = 0; ch < numChannels; ch++) {
+    // Zero-pad both ends so the filter sees silence before/after the signal
+    const padded = new Float32Array(length + taps * 2);
+    padded.set(audioBuffer.getChannelData(ch), taps);
+
+    for (let i = taps; i < padded.length; i++) {
+      const hop = Math.min(lastHop, Math.floor((i - taps) / hopSize));
+      let maxPeak = hopPeaks[hop];
+
+      // Sample peak - the interpolated phases never report less than this
+      const sample = Math.abs(padded[i]);
+      if (sample > maxPeak) maxPeak = sample;
+
+      for (let phase = 0; phase < TRUE_PEAK_FILTER.length; phase++) {
+        const coeffs = TRUE_PEAK_FILTER[phase];
+        let acc = 0;
+        for (let k = 0; k < taps; k++) {
+          acc += coeffs[k] * padded[i - k];
+        }
+        const abs = Math.abs(acc);
+        if (abs > maxPeak) maxPeak = abs;
+      }
+      hopPeaks[hop] = maxPeak;
+    }
+  }
+
+  const peak = hopPeaks.reduce((max, p) => (p > max ? p : max), 0);
+  return { peak, hopPeaks };
+}
+
+/**
+ * True peak (linear) of a single block of samples, e.g. an analyser frame.
+ * Only positions the interpolation filter fully covers are checked, so the
+ * block edges don't add ringing that isn't in the signal.
+ */
+export function getTruePeak(samples) {
+  const taps = TRUE_PEAK_FILTER_TAPS;
+  let peak = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.abs(samples[i]);
+    if (sample > peak) peak = sample;
+    if (i < taps - 1) continue;
+
+    for (let phase = 0; phase < TRUE_PEAK_FILTER.length; phase++) {
+      const coeffs = TRUE_PEAK_FILTER[phase];
+      let acc = 0;
+      for (let k = 0; k < taps; k++) {
+        acc += coeffs[k] * samples[i - k];
+      }
+      const abs = Math.abs(acc);
+      if (abs > peak) peak = abs;
+    }
+  }
+  return peak;
+}
+
+export function peakToDb(peak) {
+  return peak > 0 ? 20 * Math.log10(peak) : -Infinity;
+}
+
+/**
+ * Find clipping in a source file: runs of consecutive full-scale samples, and
+ * inter-sample overs (100ms hops whose true peak exceeds 0 dBTP).
+ * @param {Object} [options.truePeak] - scanTruePeak() result, to avoid rescanning
+ * @returns {{ clips: Array<{time, channel, samples}>, overs: Array<{time, peakDb}>, clippedSamples }}
+ */
+export function detectClipping(audioBuffer, { truePeak = scanTruePeak(audioBuffer) } = {}) {
+  const { sampleRate } = audioBuffer;
+  const clips = [];
+  let clippedSamples = 0;
+
+  for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
+    const data = audioBuffer.getChannelData(ch);
+    let runStart = -1;
+    // One step past the end closes a run that reaches the last sample
+    for (let i = 0; i <= data.length; i++) {
+      if (i < data.length && Math.abs(data[i]) >= CLIPPING.FULL_SCALE) {
+        if (runStart < 0) runStart = i;
+        continue;
+      }
+      if (runStart >= 0 && i - runStart >= CLIPPING.MIN_RUN_SAMPLES) {
+        clips.push({ time: runStart / sampleRate, channel: ch, samples: i - runStart });
+        clippedSamples += i - runStart;
+      }
+      runStart = -1;
+    }
+  }
+  clips.sort((a, b) => a.time - b.time);
+
+  const hopSec = getHopSize(sampleRate) / sampleRate;
+  const overs = [];
+  truePeak.hopPeaks.forEach((peak, hop) => {
+    if (peak > 1) overs.push({ time: hop * hopSec, peakDb: peakToDb(peak) });
+  });
+
+  return { clips, overs, clippedSamples };
+}
+
+/**
+ * Sample peak and RMS (unweighted, all channels) of an AudioBuffer
+ */
+function measureSampleLevels(audioBuffer) {
+  let peak = 0;
+  let sumSquares = 0;
+  for (let ch = 0; ch < audioBuffer.numberOfChannels; ch++) {
+    const data = audioBuffer.getChannelData(ch);
+    for (let i = 0; i < data.length; i++) {
+      const abs = Math.abs(data[i]);
+      if (abs > peak) peak = abs;
+      sumSquares += data[i] * data[i];
+    }
+  }
+  const rms = Math.sqrt(sumSquares / (audioBuffer.length * audioBuffer.numberOfChannels));
+  return { peak, rms };
+}
+
+/**
+ * Measure loudness and dynamics statistics of an AudioBuffer
+ * @param {AudioBuffer} audioBuffer
+ * @param {Object} [options]
+ * @param {{peak: number, hopPeaks: Float32Array}} [options.truePeak] - scanTruePeak()
+ *   result, skips the true-peak pass when already known
+ * @param {boolean} [options.dualMono] - See getChannelWeights()
+ * @returns {{lufs: number, truePeakDb: number, lra: number, maxShortTerm: number,
+ *            plr: number, crestFactorDb: number, curve: Object}}
+ */
+export function measureLoudness(audioBuffer, { truePeak = scanTruePeak(audioBuffer), dualMono = false } = {}) {
+  const { energies, hopSize } = measureHopEnergies(audioBuffer, { dualMono });
+  const lufs = audioBuffer.duration < LUFS_CONSTANTS.BLOCK_SIZE_SEC ? -Infinity : integrateHops(energies);
+  const truePeakDb = peakToDb(truePeak.peak);
+
+  const hopsPerShortTerm = getHopsPerBlock(LUFS_CONSTANTS.SHORT_TERM_SEC);
+  const shortTermBlocks = getBlockEnergies(energies, hopsPerShortTerm);
+  const maxShortTermEnergy = shortTermBlocks.reduce((max, ms) => (ms > max ? ms : max), 0);
+
+  const { peak, rms } = measureSampleLevels(audioBuffer);
+
+  return {
+    lufs,
+    truePeakDb,
+    lra: measureLoudnessRange(shortTermBlocks),
+    maxShortTerm: energyToLUFS(maxShortTermEnergy),
+    plr: truePeakDb - lufs,                                          // Peak-to-loudness ratio
+    crestFactorDb: rms > 0 ? 20 * Math.log10(peak / rms) : 0,        // Sample peak over RMS
+    // Loudness over time for the waveform overlay (one point per 100ms hop)
+    curve: {
+      hopSec: hopSize / audioBuffer.sampleRate,
+      shortTermOffset: hopsPerShortTerm / 2,   // Short-term blocks are plotted at their centre
+      shortTerm: Float32Array.from(shortTermBlocks, energyToLUFS),
+      truePeak: Float32Array.from(truePeak.hopPeaks, peakToDb)
+    }
+  };
+}
@@ -1,5 +1,24 @@
 import WaveSurfer from 'wavesurfer.js';
 import { Fader } from './components/Fader.js';
+import {
+  AUDIO_CONSTANTS, EQ_PRESETS, eqPresetToBands, getGlueMakeupDb, validateDeliveryProfile, validateEQBand,
+  validateMultiband, validateSettings
+} from '../audioConstants.js';
+import {
+  designLinearPhaseFIR, getLinearPhaseFrequencies, getLinearPhaseLatency
+} from './linearPhase.js';
+import { createLinearCurve, createSaturationCurve } from './saturation.js';
+import {
+  detectClipping, getChannelWeights, getKWeightingCoeffs, getTruePeak, measureLUFS, measureLoudness, peakToDb,
+  scanTruePeak
+} from './loudness.js';
+import clipperProcessorUrl from './worklets/clipper-processor.js?worker&url';
+import dynamicEQProcessorUrl from './worklets/dynamic-eq-processor.js?worker&url';
+import glueCompressorProcessorUrl from './worklets/glue-compressor-processor.js?worker&url';
+import limiterProcessorUrl from './worklets/limiter-processor.js?worker&url';
+import loudnessMeterProcessorUrl from './worklets/loudness-meter-processor.js?worker&url';
+import NormalizeWorker from './workers/normalize-worker.js?worker';
+import { TRUE_PEAK_FILTER_DELAY } from './truePeakFilter.js';
 
 let wavesurfer = null;
 let currentBlobUrl = null; // Track blob URL for cleanup
@@ -9,171 +28,17 @@ let hoverContainer = null; // Track container reference for hover cleanup
 const faders = {
   inputGain: null,
   ceiling: null,
-  eqLow: null,
-  eqLowMid: null,
-  eqMid: null,
-  eqHighMid: null,
-  eqHigh: null,
 };
 
 // ============================================================================
-// LUFS Loudness Measurement & Normalization (Pure JavaScript - No FFmpeg)
-// ITU-R BS.1770-4 compliant implementation
+// LUFS Normalization (measurement lives in loudness.js)
 // ============================================================================
 
-// ITU-R BS.1770-4 K-weighting filter specifications
-const K_WEIGHTING = {
-  HIGH_SHELF_FREQ: 1681.97,   // Hz - Head-related transfer function correction
-  HIGH_SHELF_GAIN: 4.0,       // dB
-  HIGH_SHELF_Q: 0.71,         // Q factor (approximately 1/sqrt(2))
-  HIGH_PASS_FREQ: 38.14,      // Hz - DC blocking / rumble filter
-  HIGH_PASS_Q: 0.5            // Q factor
-};
-
-// LUFS gating thresholds (ITU-R BS.1770-4)
-const LUFS_CONSTANTS = {
-  BLOCK_SIZE_SEC: 0.4,           // 400ms measurement blocks
-  BLOCK_OVERLAP: 0.75,           // 75% overlap (100ms hop)
-  ABSOLUTE_GATE_LUFS: -70,       // Absolute threshold in LUFS
-  ABSOLUTE_GATE_LINEAR: 1e-7,    // Math.pow(10, -70/10) = 1e-7
-  RELATIVE_GATE_OFFSET: 0.1,     // -10 dB below ungated mean (10^(-10/10) = 0.1)
-  LOUDNESS_OFFSET: -0.691        // Reference offset for LUFS calculation
-};
-
-/**
- * Apply biquad filter to audio samples
- */
-function applyBiquadFilter(samples, coeffs) {
-  const output = new Float32Array(samples.length);
-  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
-  const { b0, b1, b2, a1, a2 } = coeffs;
-
-  for (let i = 0; i < samples.length; i++) {
-    const x0 = samples[i];
-    const y0 = b0 * x0 + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
-    output[i] = y0;
-    x2 = x1; x1 = x0;
-    y2 = y1; y1 = y0;
-  }
-  return output;
-}
-
-/**
- * Calculate biquad coefficients for high shelf filter (K-weighting)
- */
-function calcHighShelfCoeffs(sampleRate, frequency, gainDB, Q) {
-  const A = Math.pow(10, gainDB / 40);
-  const w0 = 2 * Math.PI * frequency / sampleRate;
-  const cosW0 = Math.cos(w0);
-  const sinW0 = Math.sin(w0);
-  const alpha = sinW0 / (2 * Q);
-
-  const b0 = A * ((A + 1) + (A - 1) * cosW0 + 2 * Math.sqrt(A) * alpha);
-  const b1 = -2 * A * ((A - 1) + (A + 1) * cosW0);
-  const b2 = A * ((A + 1) + (A - 1) * cosW0 - 2 * Math.sqrt(A) * alpha);
-  const a0 = (A + 1) - (A - 1) * cosW0 + 2 * Math.sqrt(A) * alpha;
-  const a1 = 2 * ((A - 1) - (A + 1) * cosW0);
-  const a2 = (A + 1) - (A - 1) * cosW0 - 2 * Math.sqrt(A) * alpha;
-
-  return { b0: b0/a0, b1: b1/a0, b2: b2/a0, a1: a1/a0, a2: a2/a0 };
-}
-
-/**
- * Calculate biquad coefficients for high pass filter (K-weighting)
- */
-function calcHighPassCoeffs(sampleRate, frequency, Q) {
-  const w0 = 2 * Math.PI * frequency / sampleRate;
-  const cosW0 = Math.cos(w0);
-  const sinW0 = Math.sin(w0);
-  const alpha = sinW0 / (2 * Q);
-
-  const b0 = (1 + cosW0) / 2;
-  const b1 = -(1 + cosW0);
-  const b2 = (1 + cosW0) / 2;
-  const a0 = 1 + alpha;
-  const a1 = -2 * cosW0;
-  const a2 = 1 - alpha;
-
-  return { b0: b0/a0, b1: b1/a0, b2: b2/a0, a1: a1/a0, a2: a2/a0 };
-}
-
-/**
- * Measure integrated loudness (LUFS) of an AudioBuffer
- * Based on ITU-R BS.1770-4
- */
-function measureLUFS(audioBuffer) {
-  const sampleRate = audioBuffer.sampleRate;
-  const numChannels = audioBuffer.numberOfChannels;
-  const length = audioBuffer.length;
-
-  // Minimum block size required for LUFS measurement
-  if (audioBuffer.duration < LUFS_CONSTANTS.BLOCK_SIZE_SEC) {
-    console.warn(`[LUFS] Audio too short for reliable measurement (< ${LUFS_CONSTANTS.BLOCK_SIZE_SEC * 1000}ms)`);
-    return targetLufsDb; // Return target LUFS as fallback
-  }
-
-  const channels = [];
-  for (let ch = 0; ch < numChannels; ch++) {
-    channels.push(audioBuffer.getChannelData(ch));
-  }
-
-  // Apply K-weighting filters (ITU-R BS.1770-4)
-  const highShelfCoeffs = calcHighShelfCoeffs(
-    sampleRate,
-    K_WEIGHTING.HIGH_SHELF_FREQ,
-    K_WEIGHTING.HIGH_SHELF_GAIN,
-    K_WEIGHTING.HIGH_SHELF_Q
-  );
-  const highPassCoeffs = calcHighPassCoeffs(
-    sampleRate,
-    K_WEIGHTING.HIGH_PASS_FREQ,
-    K_WEIGHTING.HIGH_PASS_Q
-  );
-
-  const filteredChannels = channels.map(ch => {
-    let filtered = applyBiquadFilter(ch, highShelfCoeffs);
-    filtered = applyBiquadFilter(filtered, highPassCoeffs);
-    return filtered;
-  });
-
-  // Calculate mean square per block with overlap (ITU-R BS.1770-4)
-  const blockSize = Math.floor(sampleRate * LUFS_CONSTANTS.BLOCK_SIZE_SEC);
-  const hopSize = Math.floor(sampleRate * LUFS_CONSTANTS.BLOCK_SIZE_SEC * (1 - LUFS_CONSTANTS.BLOCK_OVERLAP));
-  const blocks = [];
-
-  for (let start = 0; start + blockSize <= length; start += hopSize) {
-    let sumSquares = 0;
-    for (let ch = 0; ch < numChannels; ch++) {
-      const channelData = filteredChannels[ch];
-      for (let i = start; i < start + blockSize; i++) {
-        sumSquares += channelData[i] * channelData[i];
-      }
-    }
-    blocks.push(sumSquares / (blockSize * numChannels));
-  }
-
-  if (blocks.length === 0) return -Infinity;
-
-  // Absolute threshold gating (blocks below -70 LUFS are ignored)
-  let gatedBlocks = blocks.filter(ms => ms > LUFS_CONSTANTS.ABSOLUTE_GATE_LINEAR);
-  if (gatedBlocks.length === 0) return -Infinity;
-
-  // Relative threshold gating (-10 dB below ungated mean)
-  const ungatedMean = gatedBlocks.reduce((a, b) => a + b, 0) / gatedBlocks.length;
-  gatedBlocks = gatedBlocks.filter(ms => ms > ungatedMean * LUFS_CONSTANTS.RELATIVE_GATE_OFFSET);
-  if (gatedBlocks.length === 0) return -Infinity;
-
-  // Calculate integrated loudness
-  const gatedMean = gatedBlocks.reduce((a, b) => a + b, 0) / gatedBlocks.length;
-  return LUFS_CONSTANTS.LOUDNESS_OFFSET + 10 * Math.log10(gatedMean);
-}
-
 /**
  * Normalize an AudioBuffer to target LUFS by applying gain
  * Uses AudioBuffer constructor directly (no OfflineAudioContext overhead)
  */
-function normalizeToLUFS(audioBuffer, targetLUFS = -14) {
-  const currentLUFS = measureLUFS(audioBuffer);
+function normalizeToLUFS(audioBuffer, targetLUFS = -14, currentLUFS = measureLUFS(audioBuffer)) {
   console.log('[LUFS] Current:', currentLUFS.toFixed(2), 'LUFS, Target:', targetLUFS, 'LUFS');
 
   if (!isFinite(currentLUFS)) {
@@ -221,11 +86,14 @@ const playerState = {
 const audioNodes = {
   context: null,
   source: null,
+  sourceFadeIn: null, // Fade-in the current source plays through after a buffer swap
   buffer: null,
-  analyser: null,
+  analyser: null,    // Post-limiter analyser for the spectrum
+  inputAnalyser: null, // Pre-processing analyser for the spectrum
   analyserL: null,   // Left channel analyser for meter
   analyserR: null,   // Right channel analyser for meter
   meterSplitter: null,
+  loudnessMeter: null, // K-weighted momentary/short-term/integrated meter (worklet)
   gain: null,
   // Input gain (first in chain)
   inputGain: null,
@@ -233,42 +101,75 @@ const audioNodes = {
   highpass: null,
   lowshelf: null,    // mud cut
   highshelf: null,   // air boost
-  midPeak: null,     // harshness
-  compressor: null,
+  midPeak: null,     // harshness (static mode)
+  dynamicEQ: null,   // harshness (dynamic mode, worklet)
+  saturation: null,  // Saturation stage (createSaturationNodes)
+  multiband: null,   // Multiband compressor (createMultibandNodes)
+  compressor: null,  // Glue compressor (worklet)
+  clipper: null,     // Clipper before the limiter (worklet)
   limiter: null,
-  // 5-band EQ
-  eqLow: null,
-  eqLowMid: null,
-  eqMid: null,
-  eqHighMid: null,
-  eqHigh: null,
+  // Parametric EQ stage (createEQStage)
+  eq: null,
   // Stereo width (M/S processing)
   stereoSplitter: null,
   stereoMerger: null,
   midGainL: null,
   midGainR: null,
   sideGainL: null,
-  sideGainR: null
+  sideGainR: null,
+  // Mono bass crossover (inside the M/S stage)
+  monoBassMid: null,      // allpass keeping mid phase-aligned with the side highpass
+  monoBassSideHP1: null,
+  monoBassSideHP2: null
 };
 
 const fileState = {
   selectedFilePath: null,
   originalBuffer: null,      // Original audio buffer
   normalizedBuffer: null,    // Loudness normalized buffer
-  isNormalizing: false       // True while normalization is in progress
+  normalizedTargetLufs: null, // Target LUFS normalizedBuffer was normalized to
+  isNormalizing: false,      // True while normalization is in progress
+  sourceLoudness: null,      // measureLoudness() stats of the original file
+  masterLoudness: null,      // measureLoudness() stats of the last rendered export
+  clipReport: null           // detectClipping() result for the original file
 };
 
+// Gain reduction meter stages: glue compressor, clipper, limiter and each multiband band
+const MULTIBAND_GR_STAGES = Array.from({ length: AUDIO_CONSTANTS.MULTIBAND.MAX_BANDS }, (_, i) => `multiband${i}`);
+const GR_STAGES = ['compressor', 'clipper', 'limiter', ...MULTIBAND_GR_STAGES];
+
+function createGainReductionValues(value = 0) {
+  return Object.fromEntries(GR_STAGES.map(stage => [stage, value]));
+}
+
 // Level meter state
 const meterState = {
-  levels: [0, 0],       // Current levels (linear, 0-1)
+  levels: [0, 0],       // Current levels (dBFS, in the active meter mode)
   peakLevels: [-Infinity, -Infinity],  // Peak hold in dB
   peakHoldTimes: [0, 0],  // When peak was set
+  detectors: [0, 0],      // Per-channel quasi-peak envelope or RMS mean square
+  lastFrameTime: 0,
   overload: false,
   overloadTime: 0,
   animationId: null,
-  PEAK_HOLD_TIME: 1.5,    // seconds
+  PEAK_HOLD_TIME: 1.5,    // seconds (gain reduction meters)
   FALL_RATE: 25,          // dB per second
-  OVERLOAD_DISPLAY_TIME: 2.0  // seconds
+  OVERLOAD_DISPLAY_TIME: 2.0,  // seconds
+  loudness: { momentary: -Infinity, shortTerm: -Infinity, integrated: -Infinity },  // LUFS
+  correlation: 0,         // Smoothed phase correlation (-1 to +1)
+  negativeSince: null,    // When correlation last dropped below 0
+  CORRELATION_SMOOTHING: 0.2,   // Per-frame smoothing factor
+  CORRELATION_WARN_TIME: 1.0,   // seconds of negative correlation before warning
+  compressorReduction: 0, // Latest glue compressor gain reduction from the worklet (dB)
+  clipperReduction: 0,    // Latest clipper reduction from the worklet (dB)
+  limiterReduction: 0,    // Latest limiter gain reduction from the worklet (dB)
+  multibandReduction: new Array(AUDIO_CONSTANTS.MULTIBAND.MAX_BANDS).fill(0), // Per band, from the worklets (dB)
+  gainReduction: createGainReductionValues(),       // Displayed gain reduction (dB, <= 0)
+  gainReductionPeaks: createGainReductionValues(),  // Peak hold (dB, <= 0)
+  gainReductionPeakTimes: createGainReductionValues(),
+  GR_RANGE_DB: 12,        // Gain reduction meter scale
+  // Reduction beyond this is working too hard
+  GR_WARN_DB: { ...createGainReductionValues(6), clipper: 3, limiter: 3 }
 };
 
 let isProcessing = false;
@@ -301,6 +202,8 @@ const fileZoneContent = document.getElementById('fileZoneContent');
 const fileLoaded = document.getElementById('fileLoaded');
 const fileName = document.getElementById('fileName');
 const fileMeta = document.getElementById('fileMeta');
+const fileLoudness = document.getElementById('fileLoudness');
+const clipReportEl = document.getElementById('clipReport');
 const dropZone = document.getElementById('dropZone');
 const processBtn = document.getElementById('processBtn');
 const cancelBtn = document.getElementById('cancelBtn');
@@ -332,6 +235,8 @@ const seekBar = document.getElementById('seekBar');
 const currentTimeEl = document.getElementById('currentTime');
 const durationEl = document.getElementById('duration');
 const bypassBtn = document.getElementById('bypassBtn');
+const platformSimSelect = document.getElementById('platformSim');
+const platformPenaltyDisplay = document.getElementById('platformPenalty');
 
 // Helper to update play/pause icons
 function updatePlayPauseIcon(isPlaying) {
@@ -347,30 +252,53 @@ const truePeakLimit = document.getElementById('truePeakLimit');
 // truePeakSlider and ceilingValue removed - now using faders
 const cleanLowEnd = document.getElementById('cleanLowEnd');
 const glueCompression = document.getElementById('glueCompression');
+const linearPhaseEQ = document.getElementById('linearPhaseEQ');
+const linearPhaseBadge = document.getElementById('linearPhaseBadge');
+const glueAutoMakeup = document.getElementById('glueAutoMakeup');
+const glueSidechainHz = document.getElementById('glueSidechainHz');
+const saturation = document.getElementById('saturation');
+const saturationMode = document.getElementById('saturationMode');
+const saturationOversample = document.getElementById('saturationOversample');
+const clipper = document.getElementById('clipper');
+const clipperThresholdSlider = document.getElementById('clipperThreshold');
+const clipperThresholdValue = document.getElementById('clipperThresholdValue');
+const clipperShape = document.getElementById('clipperShape');
+const clipperOversample = document.getElementById('clipperOversample');
 const stereoWidthSlider = document.getElementById('stereoWidth');
 const stereoWidthValue = document.getElementById('stereoWidthValue');
 const centerBass = document.getElementById('centerBass');
+const centerBassFreq = document.getElementById('centerBassFreq');
 const cutMud = document.getElementById('cutMud');
 const addAir = document.getElementById('addAir');
 const tameHarsh = document.getElementById('tameHarsh');
+const tameHarshMode = document.getElementById('tameHarshMode');
+const harshThresholdSlider = document.getElementById('harshThreshold');
+const harshThresholdValue = document.getElementById('harshThresholdValue');
+const harshRangeSlider = document.getElementById('harshRange');
+const harshRangeValue = document.getElementById('harshRangeValue');
+const harshListenBtn = document.getElementById('harshListen');
+const harshReductionDisplay = document.getElementById('harshReduction');
+const harshDynamicControls = document.getElementById('harshDynamicControls');
 const sampleRate = document.getElementById('sampleRate');
 const bitDepth = document.getElementById('bitDepth');
 const targetLufsSlider = document.getElementById('targetLufs');
 const targetLufsValue = document.getElementById('targetLufsValue');
 const miniLufsValue = document.getElementById('mini-lufs-value');
-
-// EQ values (managed by faders)
-let eqValues = {
-  low: 0,
-  lowMid: 0,
-  mid: 0,
-  highMid: 0,
-  high: 0
-};
+const deliveryProfileSelect = document.getElementById('deliveryProfile');
+const saveProfileBtn = document.getElementById('saveProfileBtn');
+const deleteProfileBtn = document.getElementById('deleteProfileBtn');
+const profileSaveRow = document.getElementById('profileSaveRow');
+const profileNameInput = document.getElementById('profileNameInput');
+
+// Parametric EQ bands (managed by the EQ editor)
+let eqBands = eqPresetToBands(EQ_PRESETS.flat);
+let selectedEQBand = 0;
+let multibandSettings = validateMultiband();
+let multibandSolo = -1;  // Soloed band index (preview only, never exported)
 
 // Input gain and ceiling values (managed by faders)
 let inputGainValue = 0;  // dB
-let ceilingValueDb = -1; // dB
+let ceilingValueDb = AUDIO_CONSTANTS.LIMITER.DEFAULT_CEILING_DB; // dB
 let targetLufsDb = -9;   // Target LUFS for normalization (default -9)
 
 // Level meter elements
@@ -378,11 +306,27 @@ const meterCanvas = document.getElementById('meterCanvas');
 const meterCtx = meterCanvas ? meterCanvas.getContext('2d') : null;
 const peakLDisplay = document.getElementById('peakL');
 const peakRDisplay = document.getElementById('peakR');
+const loudnessLiveDisplay = document.getElementById('loudnessLive');
 const overloadIndicator = document.getElementById('overloadIndicator');
+const meterLabels = document.getElementById('meterLabels');
+const meterModeSelect = document.getElementById('meterMode');
+const meterRangeSelect = document.getElementById('meterRange');
+const meterHoldSelect = document.getElementById('meterHold');
+const vectorscopeCanvas = document.getElementById('vectorscopeCanvas');
+const vectorscopeCtx = vectorscopeCanvas ? vectorscopeCanvas.getContext('2d') : null;
+const correlationCanvas = document.getElementById('correlationCanvas');
+const correlationCtx = correlationCanvas ? correlationCanvas.getContext('2d') : null;
+const correlationDisplay = document.getElementById('correlationValue');
+const gainReductionMeters = {
+  compressor: { canvas: document.getElementById('grCompCanvas'), display: document.getElementById('grCompValue') },
+  clipper: { canvas: document.getElementById('grClipCanvas'), display: document.getElementById('grClipValue') },
+  limiter: { canvas: document.getElementById('grLimitCanvas'), display: document.getElementById('grLimitValue') }
+};
 
 // Mini checklist
 const miniLufs = document.getElementById('mini-lufs');
 const miniPeak = document.getElementById('mini-peak');
+const miniPeakValue = document.getElementById('mini-peak-value');
 const miniFormat = document.getElementById('mini-format');
 
 // ============================================================================
@@ -436,17 +380,243 @@ function initAudioContext() {
   return audioNodes.context;
 }
 
-function createAudioChain() {
+// Butterworth Q for lowpass/highpass BiquadFilterNodes (Web Audio takes their Q in dB)
+const BUTTERWORTH_Q_DB = 20 * Math.log10(Math.SQRT1_2);
+
+// Export loudness verification: re-render with corrective input gain until the
+// master lands on the target (the compressor and limiter make this non-linear)
+const LOUDNESS_CORRECTION = {
+  TOLERANCE_LU: 0.2,
+  MAX_PASSES: 4,
+  MAX_CORRECTION_DB: 12
+};
+
+/**
+ * Register AudioWorklet processors on a (realtime or offline) context
+ */
+async function registerWorklets(ctx) {
+  await ctx.audioWorklet.addModule(clipperProcessorUrl);
+  await ctx.audioWorklet.addModule(dynamicEQProcessorUrl);
+  await ctx.audioWorklet.addModule(glueCompressorProcessorUrl);
+  await ctx.audioWorklet.addModule(limiterProcessorUrl);
+  await ctx.audioWorklet.addModule(loudnessMeterProcessorUrl);
+}
+
+function getLimiterLookahead(sampleRate) {
+  return Math.max(TRUE_PEAK_FILTER_DELAY + 2, Math.round(sampleRate * AUDIO_CONSTANTS.LIMITER.LOOKAHEAD_MS / 1000));
+}
+
+/**
+ * Delay (in samples) the limiter adds to the signal
+ */
+function getLimiterLatency(sampleRate) {
+  return getLimiterLookahead(sampleRate) - 1 + TRUE_PEAK_FILTER_DELAY;
+}
+
+/**
+ * Create the true-peak limiter node (worklets must be registered first)
+ * @param {boolean} [options.reportGainReduction] - Post gain reduction for metering
+ */
+function createLimiterNode(ctx, { reportGainReduction = false } = {}) {
+  const limiter = new AudioWorkletNode(ctx, 'true-peak-limiter', {
+    numberOfInputs: 1,
+    numberOfOutputs: 1,
+    outputChannelCount: [2],
+    processorOptions: { lookaheadSamples: getLimiterLookahead(ctx.sampleRate), reportGainReduction }
+  });
+  limiter.parameters.get('release').value = AUDIO_CONSTANTS.LIMITER.RELEASE_MS / 1000;
+  return limiter;
+}
+
+/**
+ * Create the clipper node (worklets must be registered first). It delays the
+ * audio by CLIPPER.LATENCY_SAMPLES whether on or off.
+ * @param {boolean} [options.reportGainReduction] - Post the clip depth for metering
+ */
+function createClipperNode(ctx, { reportGainReduction = false } = {}) {
+  return new AudioWorkletNode(ctx, 'clipper', {
+    numberOfInputs: 1,
+    numberOfOutputs: 1,
+    outputChannelCount: [2],
+    processorOptions: { latencySamples: AUDIO_CONSTANTS.CLIPPER.LATENCY_SAMPLES, reportGainReduction }
+  });
+}
+
+/**
+ * Configure the clipper from the clipper* settings
+ */
+function applyClipper(clipperNode, settings, enabled) {
+  const params = clipperNode.parameters;
+  params.get('threshold').value = settings.clipperThreshold;
+  params.get('shape').value = Object.keys(AUDIO_CONSTANTS.CLIPPER.SHAPES).indexOf(settings.clipperShape);
+  params.get('oversampling').value = settings.clipperOversample;
+  params.get('enabled').value = enabled ? 1 : 0;
+}
+
+/**
+ * Create the glue compressor node (worklets must be registered first)
+ * @param {boolean} [options.reportGainReduction] - Post gain reduction for metering
+ */
+function createGlueCompressorNode(ctx, { reportGainReduction = false } = {}) {
+  return new AudioWorkletNode(ctx, 'glue-compressor', {
+    numberOfInputs: 1,
+    numberOfOutputs: 1,
+    outputChannelCount: [2],
+    processorOptions: { reportGainReduction }
+  });
+}
+
+/**
+ * Configure the glue compressor from the glue* settings
+ */
+function applyGlueCompressor(compressor, settings, enabled) {
+  const params = compressor.parameters;
+  params.get('threshold').value = settings.glueThreshold;
+  params.get('ratio').value = settings.glueRatio;
+  params.get('attack').value = settings.glueAttack / 1000;
+  params.get('release').value = settings.glueRelease / 1000;
+  params.get('knee').value = settings.glueKnee;
+  params.get('makeup').value = getGlueMakeupDb(settings);
+  params.get('sidechainHz').value = settings.glueSidechainHz;
+  params.get('enabled').value = enabled ? 1 : 0;
+}
+
+/**
+ * Create the Tame Harshness dynamic EQ on the two FFmpeg harshness bands
+ * (worklets must be registered first)
+ * @param {boolean} [options.reportGainReduction] - Post the current cut for metering
+ */
+function createDynamicEQNode(ctx, { reportGainReduction = false } = {}) {
+  const { BAND_1, BAND_2 } = AUDIO_CONSTANTS.HARSHNESS.FFMPEG;
+  return new AudioWorkletNode(ctx, 'dynamic-eq', {
+    numberOfInputs: 1,
+    numberOfOutputs: 1,
+    outputChannelCount: [2],
+    processorOptions: {
+      bands: [BAND_1, BAND_2].map(band => ({ frequency: band.FREQUENCY, q: band.Q })),
+      reportGainReduction
+    }
+  });
+}
+
+/**
+ * Configure the dynamic EQ from the harsh* settings. `listen` (preview only)
+ * outputs what the detectors hear.
+ */
+function applyDynamicEQ(dynamicEQ, settings, enabled, listen = false) {
+  const params = dynamicEQ.parameters;
+  params.get('threshold').value = settings.harshThreshold;
+  params.get('range').value = settings.harshRange;
+  params.get('enabled').value = enabled ? 1 : 0;
+  params.get('listen').value = listen ? 1 : 0;
+}
+
+/**
+ * Saturation stage: input (1 / HEADROOM) feeds a wet WaveShaper with the
+ * saturation curve and a dry WaveShaper with a straight line. Both use the
+ * same oversampling, so their resampling filters (and the delay they add, see
+ * getSaturationLatency) match and the dry/wet mix doesn't comb filter. The wet
+ * path is DC-blocked, since the tube curve is asymmetric. Created bypassed.
+ */
+function createSaturationNodes(ctx) {
+  const input = ctx.createGain();
+  const dryShaper = ctx.createWaveShaper();
+  const wetShaper = ctx.createWaveShaper();
+  const dcBlock = ctx.createBiquadFilter();
+  dcBlock.type = 'highpass';
+  dcBlock.frequency.value = 5;
+  dcBlock.Q.value = BUTTERWORTH_Q_DB;
+  const dry = ctx.createGain();
+  const wet = ctx.createGain();
+  wet.gain.value = 0;
+  const output = ctx.createGain();
+
+  input.connect(dryShaper).connect(dry).connect(output);
+  input.connect(wetShaper).connect(dcBlock).connect(wet).connect(output);
+
+  return { input, output, dryShaper, wetShaper, dry, wet };
+}
+
+/**
+ * Configure the saturation stage from the saturation* settings. When off it
+ * is a true bypass: no input scaling, no dry curve and no oversampling, so
+ * nothing is clipped at ±HEADROOM and nothing is delayed.
+ */
+function applySaturation(nodes, settings, enabled) {
+  const mix = enabled ? settings.saturationMix / 100 : 0;
+  const oversample = enabled ? settings.saturationOversample : 'none';
+  nodes.dryShaper.oversample = oversample;
+  nodes.wetShaper.oversample = oversample;
+  nodes.input.gain.value = enabled ? 1 / AUDIO_CONSTANTS.SATURATION.HEADROOM : 1;
+  nodes.dryShaper.curve = enabled ? createLinearCurve() : null;
+  if (enabled) nodes.wetShaper.curve = createSaturationCurve(settings.saturationMode, settings.saturationDrive);
+  nodes.dry.gain.value = 1 - mix;
+  nodes.wet.gain.value = mix;
+  nodes.output.gain.value = enabled ? Math.pow(10, settings.saturationOutput / 20) : 1;
+}
+
+// Saturation delay (samples) per sample rate and oversampling factor
+const saturationLatencyCache = new Map();
+// Long enough to hold the oversampling filters' delay
+const SATURATION_LATENCY_PROBE_LENGTH = 1024;
+
+/**
+ * Delay (in samples) an oversampled WaveShaper adds to the signal. The spec
+ * leaves the resampling filters to the engine, so it is measured once (the
+ * peak of an impulse through a straight-line curve) rather than assumed.
+ */
+async function getSaturationLatency(sampleRate, oversample) {
+  if (oversample === 'none') return 0;
+  const key = `${sampleRate}:${oversample}`;
+  if (!saturationLatencyCache.has(key)) {
+    const ctx = new OfflineAudioContext(1, SATURATION_LATENCY_PROBE_LENGTH, sampleRate);
+    const impulse = ctx.createBuffer(1, 1, sampleRate);
+    impulse.getChannelData(0)[0] = 1;
+    const source = ctx.createBufferSource();
+    source.buffer = impulse;
+    const shaper = ctx.createWaveShaper();
+    shaper.curve = new Float32Array([-1, 1]);
+    shaper.oversample = oversample;
+    source.connect(shaper).connect(ctx.destination);
+    source.start(0);
+
+    const response = (await ctx.startRendering()).getChannelData(0);
+    let peak = 0;
+    for (let i = 1; i < response.length; i++) {
+      if (Math.abs(response[i]) > Math.abs(response[peak])) peak = i;
+    }
+    saturationLatencyCache.set(key, peak);
+  }
+  return saturationLatencyCache.get(key);
+}
+
+async function createAudioChain() {
   const ctx = initAudioContext();
+  await registerWorklets(ctx);
 
   // Create analysers for visualization (stereo metering)
   audioNodes.analyser = ctx.createAnalyser();
   audioNodes.analyser.fftSize = 2048;
+  audioNodes.inputAnalyser = ctx.createAnalyser();
+  audioNodes.inputAnalyser.fftSize = 2048;
   audioNodes.analyserL = ctx.createAnalyser();
   audioNodes.analyserL.fftSize = 2048;
   audioNodes.analyserR = ctx.createAnalyser();
   audioNodes.analyserR.fftSize = 2048;
   audioNodes.meterSplitter = ctx.createChannelSplitter(2);
+  audioNodes.loudnessMeter = new AudioWorkletNode(ctx, 'loudness-meter', {
+    numberOfInputs: 1,
+    numberOfOutputs: 0,
+    processorOptions: {
+      kWeighting: getKWeightingCoeffs(ctx.sampleRate),
+      channelWeights: getChannelWeights(2)  // Meters the stereo limiter output
+    }
+  });
+  audioNodes.loudnessMeter.port.onmessage = (event) => {
+    meterState.loudness = event.data;
+    updateLoudnessMeterDisplay();
+    updatePlatformSimulation();
+  };
 
   // Create nodes
   audioNodes.inputGain = ctx.createGain();
@@ -456,19 +626,42 @@ function createAudioChain() {
   audioNodes.lowshelf = ctx.createBiquadFilter();
   audioNodes.highshelf = ctx.createBiquadFilter();
   audioNodes.midPeak = ctx.createBiquadFilter();
-  audioNodes.compressor = ctx.createDynamicsCompressor();
-  audioNodes.limiter = ctx.createDynamicsCompressor();
+  audioNodes.dynamicEQ = createDynamicEQNode(ctx, { reportGainReduction: true });
+  audioNodes.dynamicEQ.port.onmessage = (event) => {
+    updateHarshReductionDisplay(event.data.reduction);
+  };
+  audioNodes.compressor = createGlueCompressorNode(ctx, { reportGainReduction: true });
+  audioNodes.compressor.port.onmessage = (event) => {
+    meterState.compressorReduction = event.data.reduction;
+  };
+  audioNodes.clipper = createClipperNode(ctx, { reportGainReduction: true });
+  audioNodes.clipper.port.onmessage = (event) => {
+    meterState.clipperReduction = event.data.reduction;
+  };
+  audioNodes.limiter = createLimiterNode(ctx, { reportGainReduction: true });
+  audioNodes.limiter.port.onmessage = (event) => {
+    meterState.limiterReduction = event.data.reduction;
+  };
+
+  // Parametric EQ nodes (configured by updateEQ)
+  audioNodes.eq = createEQStage(ctx);
+
+  // Saturation nodes (configured by updateAudioChain)
+  audioNodes.saturation = createSaturationNodes(ctx);
 
-  // 5-band EQ nodes
-  audioNodes.eqLow = ctx.createBiquadFilter();
-  audioNodes.eqLowMid = ctx.createBiquadFilter();
-  audioNodes.eqMid = ctx.createBiquadFilter();
-  audioNodes.eqHighMid = ctx.createBiquadFilter();
-  audioNodes.eqHigh = ctx.createBiquadFilter();
+  // Multiband compressor nodes (configured by updateMultiband)
+  audioNodes.multiband = createMultibandNodes(ctx, { reportGainReduction: true });
+  audioNodes.multiband.bands.forEach(({ compressor }, i) => {
+    compressor.port.onmessage = (event) => {
+      meterState.multibandReduction[i] = event.data.reduction;
+    };
+  });
 
   // Stereo width M/S processing nodes
   // M/S encoding: Mid = (L+R)/2, Side = (L-R)/2
   // Output: L' = Mid + Side*width, R' = Mid - Side*width
+  // Mono bass: the side is Linkwitz-Riley highpassed, so everything below the
+  // crossover ends up in the mid only
   audioNodes.stereoSplitter = ctx.createChannelSplitter(2);
   audioNodes.stereoMerger = ctx.createChannelMerger(2);
   // For left output: midGainL adds mid, sideGainL adds side
@@ -485,25 +678,19 @@ function createAudioChain() {
   audioNodes.midToR = ctx.createGain();
   audioNodes.sideToL = ctx.createGain();
   audioNodes.sideToR = ctx.createGain();
-
-  // Configure EQ bands
-  audioNodes.eqLow.type = 'lowshelf';
-  audioNodes.eqLow.frequency.value = 80;
-
-  audioNodes.eqLowMid.type = 'peaking';
-  audioNodes.eqLowMid.frequency.value = 250;
-  audioNodes.eqLowMid.Q.value = 1;
-
-  audioNodes.eqMid.type = 'peaking';
-  audioNodes.eqMid.frequency.value = 1000;
-  audioNodes.eqMid.Q.value = 1;
-
-  audioNodes.eqHighMid.type = 'peaking';
-  audioNodes.eqHighMid.frequency.value = 4000;
-  audioNodes.eqHighMid.Q.value = 1;
-
-  audioNodes.eqHigh.type = 'highshelf';
-  audioNodes.eqHigh.frequency.value = 12000;
+  audioNodes.monoBassMid = ctx.createBiquadFilter();
+  audioNodes.monoBassSideHP1 = ctx.createBiquadFilter();
+  audioNodes.monoBassSideHP2 = ctx.createBiquadFilter();
+
+  // Configure mono bass crossover
+  // Two cascaded Butterworth highpasses = LR4 highpass on the side. LR4 low + high
+  // sums to a 2nd order allpass (Q = 1/sqrt(2)), which the mid gets so both stay aligned.
+  audioNodes.monoBassMid.type = 'allpass';
+  audioNodes.monoBassMid.Q.value = AUDIO_CONSTANTS.MONO_BASS.ALLPASS_Q;
+  audioNodes.monoBassSideHP1.type = 'highpass';
+  audioNodes.monoBassSideHP1.Q.value = BUTTERWORTH_Q_DB;
+  audioNodes.monoBassSideHP2.type = 'highpass';
+  audioNodes.monoBassSideHP2.Q.value = BUTTERWORTH_Q_DB;
 
   // Configure highpass (clean low end)
   audioNodes.highpass.type = 'highpass';
@@ -527,23 +714,10 @@ function createAudioChain() {
   audioNodes.midPeak.Q.value = 2;
   audioNodes.midPeak.gain.value = 0;
 
-  // Configure glue compressor
-  audioNodes.compressor.threshold.value = -18;
-  audioNodes.compressor.knee.value = 10;
-  audioNodes.compressor.ratio.value = 3;
-  audioNodes.compressor.attack.value = 0.02;
-  audioNodes.compressor.release.value = 0.25;
-
-  // Configure limiter
-  audioNodes.limiter.threshold.value = -1;
-  audioNodes.limiter.knee.value = 0;
-  audioNodes.limiter.ratio.value = 20;
-  audioNodes.limiter.attack.value = 0.001;
-  audioNodes.limiter.release.value = 0.05;
-
   updateAudioChain();
   updateStereoWidth();
   updateEQ();
+  updateMultiband();
 }
 
 function updateAudioChain() {
@@ -558,26 +732,32 @@ function updateAudioChain() {
   // Add Air
   audioNodes.highshelf.gain.value = (addAir.checked && !playerState.isBypassed) ? 2.5 : 0;
 
-  // Tame Harshness
-  audioNodes.midPeak.gain.value = (tameHarsh.checked && !playerState.isBypassed) ? -2 : 0;
+  // Tame Harshness: a static bell, or the dynamic EQ
+  const harshSettings = getHarshSettings();
+  const harshOn = tameHarsh.checked && !playerState.isBypassed;
+  audioNodes.midPeak.gain.value = (harshOn && harshSettings.tameHarshMode === 'static') ? -2 : 0;
+  const harshDynamic = harshOn && harshSettings.tameHarshMode === 'dynamic';
+  applyDynamicEQ(audioNodes.dynamicEQ, harshSettings, harshDynamic, harshDynamic && harshListen);
+
+  // Saturation
+  applySaturation(audioNodes.saturation, getSaturationSettings(), saturation.checked && !playerState.isBypassed);
+
+  // Mono Bass (crossover at 1Hz is effectively off)
+  const monoBassFreq = (centerBass.checked && !playerState.isBypassed) ? parseInt(centerBassFreq.value) : 1;
+  audioNodes.monoBassMid.frequency.value = monoBassFreq;
+  audioNodes.monoBassSideHP1.frequency.value = monoBassFreq;
+  audioNodes.monoBassSideHP2.frequency.value = monoBassFreq;
 
   // Glue Compression
-  if (glueCompression.checked && !playerState.isBypassed) {
-    audioNodes.compressor.threshold.value = -18;
-    audioNodes.compressor.ratio.value = 3;
-  } else {
-    audioNodes.compressor.threshold.value = 0;
-    audioNodes.compressor.ratio.value = 1;
-  }
+  applyGlueCompressor(audioNodes.compressor, getGlueSettings(), glueCompression.checked && !playerState.isBypassed);
 
-  // Limiter
-  if (truePeakLimit.checked && !playerState.isBypassed) {
-    audioNodes.limiter.threshold.value = ceilingValueDb;
-    audioNodes.limiter.ratio.value = 20;
-  } else {
-    audioNodes.limiter.threshold.value = 0;
-    audioNodes.limiter.ratio.value = 1;
-  }
+  // Clipper and limiter (stay in the chain when off so latency doesn't jump)
+  applyClipper(audioNodes.clipper, getClipperSettings(), clipper.checked && !playerState.isBypassed);
+  audioNodes.limiter.parameters.get('ceiling').value = ceilingValueDb;
+  audioNodes.limiter.parameters.get('enabled').value = (truePeakLimit.checked && !playerState.isBypassed) ? 1 : 0;
+
+  if (!playerState.isPlaying) drawSpectrum();
+  updatePlatformSimulation();
 }
 
 function updateStereoWidth() {
@@ -586,22 +766,16 @@ function updateStereoWidth() {
   const width = playerState.isBypassed ? 1.0 : parseInt(stereoWidthSlider.value) / 100;
 
   // M/S Matrix coefficients
-  // Mid = (L + R) * 0.5
-  // Side = (L - R) * 0.5
-  // L' = Mid + Side * width = L*0.5 + R*0.5 + (L*0.5 - R*0.5)*width
-  //    = L*(0.5 + 0.5*width) + R*(0.5 - 0.5*width)
-  // R' = Mid - Side * width = L*0.5 + R*0.5 - (L*0.5 - R*0.5)*width
-  //    = L*(0.5 - 0.5*width) + R*(0.5 + 0.5*width)
-
-  const midCoef = 0.5;
-  const sideCoef = 0.5 * width;
-
-  // L' = L*(midCoef + sideCoef) + R*(midCoef - sideCoef)
-  // R' = L*(midCoef - sideCoef) + R*(midCoef + sideCoef)
-  audioNodes.lToMid.gain.value = midCoef + sideCoef;  // L contribution to L'
-  audioNodes.rToMid.gain.value = midCoef - sideCoef;  // R contribution to L'
-  audioNodes.lToSide.gain.value = midCoef - sideCoef; // L contribution to R'
-  audioNodes.rToSide.gain.value = midCoef + sideCoef; // R contribution to R'
+  // Encode: Mid = (L + R) * 0.5, Side = (L - R) * 0.5
+  // Decode: L' = Mid + Side * width, R' = Mid - Side * width
+  audioNodes.lToMid.gain.value = 0.5;
+  audioNodes.rToMid.gain.value = 0.5;
+  audioNodes.lToSide.gain.value = 0.5;
+  audioNodes.rToSide.gain.value = -0.5;
+  audioNodes.midToL.gain.value = 1;
+  audioNodes.midToR.gain.value = 1;
+  audioNodes.sideToL.gain.value = width;
+  audioNodes.sideToR.gain.value = -width;
 }
 
 function connectAudioChain(source) {
@@ -610,37 +784,52 @@ function connectAudioChain(source) {
     .connect(audioNodes.inputGain)
     .connect(audioNodes.highpass);
 
-  preChain
-    .connect(audioNodes.eqLow)
-    .connect(audioNodes.eqLowMid)
-    .connect(audioNodes.eqMid)
-    .connect(audioNodes.eqHighMid)
-    .connect(audioNodes.eqHigh)
+  // Spectrum input tap (after input gain, before any processing)
+  audioNodes.inputGain.connect(audioNodes.inputAnalyser);
+
+  preChain.connect(audioNodes.eq.input);
+  audioNodes.eq.output
     .connect(audioNodes.lowshelf)
     .connect(audioNodes.midPeak)
+    .connect(audioNodes.dynamicEQ)
     .connect(audioNodes.highshelf)
+    .connect(audioNodes.saturation.input);
+  audioNodes.saturation.output.connect(audioNodes.multiband.input);
+  audioNodes.multiband.output
     .connect(audioNodes.compressor)
     .connect(audioNodes.stereoSplitter);
 
   // M/S Stereo Width Processing
   // Split into L and R channels
-  // L channel (0) -> lToMid (for L output) and lToSide (for R output)
+  // L channel (0) -> lToMid and lToSide
   audioNodes.stereoSplitter.connect(audioNodes.lToMid, 0);
   audioNodes.stereoSplitter.connect(audioNodes.lToSide, 0);
-  // R channel (1) -> rToMid (for L output) and rToSide (for R output)
+  // R channel (1) -> rToMid and rToSide
   audioNodes.stereoSplitter.connect(audioNodes.rToMid, 1);
   audioNodes.stereoSplitter.connect(audioNodes.rToSide, 1);
 
-  // Sum for L output: lToMid + rToMid -> merger channel 0
-  audioNodes.lToMid.connect(audioNodes.stereoMerger, 0, 0);
-  audioNodes.rToMid.connect(audioNodes.stereoMerger, 0, 0);
-
-  // Sum for R output: lToSide + rToSide -> merger channel 1
-  audioNodes.lToSide.connect(audioNodes.stereoMerger, 0, 1);
-  audioNodes.rToSide.connect(audioNodes.stereoMerger, 0, 1);
-
-  // Continue chain: stereo merger -> limiter -> meter splitter -> analysers & output
+  // Mid: lToMid + rToMid -> mono bass allpass -> both outputs
+  audioNodes.lToMid.connect(audioNodes.monoBassMid);
+  audioNodes.rToMid.connect(audioNodes.monoBassMid);
+  audioNodes.monoBassMid.connect(audioNodes.midToL);
+  audioNodes.monoBassMid.connect(audioNodes.midToR);
+
+  // Side: lToSide + rToSide -> mono bass highpass -> both outputs (width applied here)
+  audioNodes.lToSide.connect(audioNodes.monoBassSideHP1);
+  audioNodes.rToSide.connect(audioNodes.monoBassSideHP1);
+  audioNodes.monoBassSideHP1.connect(audioNodes.monoBassSideHP2);
+  audioNodes.monoBassSideHP2.connect(audioNodes.sideToL);
+  audioNodes.monoBassSideHP2.connect(audioNodes.sideToR);
+
+  // Decode: L' = mid + side -> merger channel 0, R' = mid - side -> merger channel 1
+  audioNodes.midToL.connect(audioNodes.stereoMerger, 0, 0);
+  audioNodes.sideToL.connect(audioNodes.stereoMerger, 0, 0);
+  audioNodes.midToR.connect(audioNodes.stereoMerger, 0, 1);
+  audioNodes.sideToR.connect(audioNodes.stereoMerger, 0, 1);
+
+  // Continue chain: stereo merger -> clipper -> limiter -> meter splitter -> analysers & output
   audioNodes.stereoMerger
+    .connect(audioNodes.clipper)
     .connect(audioNodes.limiter)
     .connect(audioNodes.meterSplitter);
 
@@ -648,35 +837,256 @@ function connectAudioChain(source) {
   audioNodes.meterSplitter.connect(audioNodes.analyserL, 0);
   audioNodes.meterSplitter.connect(audioNodes.analyserR, 1);
 
-  // Also connect to main analyser and output
+  // Live loudness meter reads the processed output
+  audioNodes.limiter.connect(audioNodes.loudnessMeter);
+
+  // Also connect to main analyser and output. The output gain carries the
+  // streaming normalization simulation, after all metering.
   audioNodes.limiter
     .connect(audioNodes.analyser)
     .connect(audioNodes.gain)
     .connect(audioNodes.context.destination);
+  updatePlatformSimulation();
 }
 
-function updateEQ() {
-  if (!audioNodes.eqLow) return;
-
-  if (playerState.isBypassed) {
-    audioNodes.eqLow.gain.value = 0;
-    audioNodes.eqLowMid.gain.value = 0;
-    audioNodes.eqMid.gain.value = 0;
-    audioNodes.eqHighMid.gain.value = 0;
-    audioNodes.eqHigh.gain.value = 0;
+/**
+ * Create the parametric EQ stage (configured by applyEQBands). Stereo bands
+ * run first; then left/right bands on a channel split and mid/side bands on
+ * an M/S matrix, so every routing filters at the EQ position. `input`,
+ * `routed` (after the stereo bands) and `output` stay in the graph; the
+ * filters and matrix between them exist only for the bands in use.
+ */
+function createEQStage(ctx) {
+  const input = ctx.createGain();
+  const routed = ctx.createGain();
+  // Left/right and mid/side bands need both channels, also for mono files
+  routed.channelCount = 2;
+  routed.channelCountMode = 'explicit';
+  const output = ctx.createGain();
+  input.connect(routed).connect(output);
+
+  const filters = {};
+  for (const routing of Object.keys(AUDIO_CONSTANTS.PARAMETRIC_EQ.ROUTINGS)) {
+    filters[routing] = [];
+  }
+  return { input, routed, output, filters, nodes: [] };
+}
+
+/**
+ * Chain the EQ filters after `node`, returning the last one
+ */
+function connectEQFilters(node, filters) {
+  return filters.reduce((previous, filter) => previous.connect(filter), node);
+}
+
+/**
+ * Rewire the EQ stage with `counts[routing]` filters per routing. Everything
+ * the previous build created is disconnected and dropped.
+ */
+function buildEQStage(stage, counts) {
+  const ctx = stage.input.context;
+  stage.input.disconnect();
+  stage.routed.disconnect();
+  stage.nodes.forEach(node => node.disconnect());
+  stage.nodes = [];
+
+  const track = (node) => {
+    stage.nodes.push(node);
+    return node;
+  };
+  const createGain = (value) => {
+    const gain = track(ctx.createGain());
+    gain.gain.value = value;
+    return gain;
+  };
+
+  for (const routing of Object.keys(stage.filters)) {
+    stage.filters[routing] = Array.from({ length: counts[routing] }, () => track(ctx.createBiquadFilter()));
+  }
+  const { stereo, left, right, mid, side } = stage.filters;
+  connectEQFilters(stage.input, stereo).connect(stage.routed);
+
+  if (!left.length && !right.length && !mid.length && !side.length) {
+    stage.routed.connect(stage.output);
+    return;
+  }
+
+  const splitter = track(ctx.createChannelSplitter(2));
+  const merger = track(ctx.createChannelMerger(2));
+  stage.routed.connect(splitter);
+  const leftIn = createGain(1);
+  const rightIn = createGain(1);
+  splitter.connect(leftIn, 0);
+  splitter.connect(rightIn, 1);
+  const leftOut = connectEQFilters(leftIn, left);
+  const rightOut = connectEQFilters(rightIn, right);
+
+  if (!mid.length && !side.length) {
+    leftOut.connect(merger, 0, 0);
+    rightOut.connect(merger, 0, 1);
   } else {
-    audioNodes.eqLow.gain.value = eqValues.low;
-    audioNodes.eqLowMid.gain.value = eqValues.lowMid;
-    audioNodes.eqMid.gain.value = eqValues.mid;
-    audioNodes.eqHighMid.gain.value = eqValues.highMid;
-    audioNodes.eqHigh.gain.value = eqValues.high;
+    // Encode: Mid = (L + R) * 0.5, Side = (L - R) * 0.5
+    const midIn = createGain(0.5);
+    const sideIn = createGain(0.5);
+    leftOut.connect(midIn);
+    rightOut.connect(midIn);
+    leftOut.connect(sideIn);
+    rightOut.connect(createGain(-1)).connect(sideIn);
+
+    // Decode: L = Mid + Side, R = Mid - Side
+    const midOut = connectEQFilters(midIn, mid);
+    const sideOut = connectEQFilters(sideIn, side);
+    midOut.connect(merger, 0, 0);
+    midOut.connect(merger, 0, 1);
+    sideOut.connect(merger, 0, 0);
+    sideOut.connect(createGain(-1)).connect(merger, 0, 1);
+  }
+  merger.connect(stage.output);
+}
+
+/**
+ * Configure the EQ stage: the bands of each routing go to that routing's
+ * filters in order. The stage is only rewired when a routing gains or loses bands.
+ */
+function applyEQBands(stage, bands) {
+  const byRouting = {};
+  for (const routing of Object.keys(stage.filters)) {
+    byRouting[routing] = bands.filter(band => band.routing === routing);
+  }
+  if (Object.keys(byRouting).some(routing => byRouting[routing].length !== stage.filters[routing].length)) {
+    const counts = {};
+    for (const [routing, routingBands] of Object.entries(byRouting)) {
+      counts[routing] = routingBands.length;
+    }
+    buildEQStage(stage, counts);
+  }
+  for (const [routing, filters] of Object.entries(stage.filters)) {
+    filters.forEach((filter, i) => applyEQBand(filter, byRouting[routing][i]));
+  }
+}
+
+/**
+ * Configure an EQ filter for a band
+ */
+function applyEQBand(filter, band) {
+  filter.type = AUDIO_CONSTANTS.PARAMETRIC_EQ.TYPES[band.type].filterType;
+  filter.frequency.value = band.frequency;
+  filter.gain.value = band.gain;
+  // Web Audio takes lowpass/highpass Q in dB
+  filter.Q.value = band.type === 'highPass' || band.type === 'lowPass' ? 20 * Math.log10(band.q) : band.q;
+}
+
+function updateEQ() {
+  if (!audioNodes.eq) return;
+
+  applyEQBands(audioNodes.eq, playerState.isBypassed ? [] : eqBands);
+
+  if (!playerState.isPlaying) drawSpectrum();
+}
+
+/**
+ * Create the multiband compressor: a tree of LR4 crossovers (two cascaded
+ * Butterworth biquads each) feeding one compressor and makeup gain per band.
+ * The compressors are glue compressor worklets (registered first): no
+ * lookahead and no automatic makeup, so the bands add no delay or hidden gain.
+ * LR4 low + high sums to a 2nd order allpass, so each band also gets an
+ * allpass for every crossover above its own, keeping the summed bands flat.
+ * All MAX_BANDS bands always exist; unused crossovers sit at Nyquist, where
+ * the lowpass passes everything and the highpass nothing.
+ */
+function createMultibandNodes(ctx, { reportGainReduction = false } = {}) {
+  const { MAX_BANDS } = AUDIO_CONSTANTS.MULTIBAND;
+  const input = ctx.createGain();
+  const output = ctx.createGain();
+  const crossovers = [];
+  const sources = [];   // Input of each band, lowest first
+
+  const createFilter = (type, q) => {
+    const filter = ctx.createBiquadFilter();
+    filter.type = type;
+    filter.Q.value = q;
+    return filter;
+  };
+
+  // Everything above the previous crossover
+  let rest = input;
+  for (let i = 0; i < MAX_BANDS - 1; i++) {
+    const crossover = {
+      lowpass: [createFilter('lowpass', BUTTERWORTH_Q_DB), createFilter('lowpass', BUTTERWORTH_Q_DB)],
+      highpass: [createFilter('highpass', BUTTERWORTH_Q_DB), createFilter('highpass', BUTTERWORTH_Q_DB)],
+      allpass: []   // One per band below this crossover
+    };
+    crossovers.push(crossover);
+    const low = rest.connect(crossover.lowpass[0]).connect(crossover.lowpass[1]);
+    rest = rest.connect(crossover.highpass[0]).connect(crossover.highpass[1]);
+    sources.push(low);
   }
+  sources.push(rest);
+
+  const bands = sources.map((source, i) => {
+    let node = source;
+    for (let j = i + 1; j < crossovers.length; j++) {
+      const allpass = createFilter('allpass', Math.SQRT1_2);
+      crossovers[j].allpass.push(allpass);
+      node = node.connect(allpass);
+    }
+    const band = { compressor: createGlueCompressorNode(ctx, { reportGainReduction }), makeup: ctx.createGain() };
+    node.connect(band.compressor).connect(band.makeup).connect(output);
+    return band;
+  });
+
+  return { input, output, crossovers, bands };
+}
+
+/**
+ * Configure the multiband nodes. Without settings (or when disabled) every
+ * crossover sits at Nyquist, so the first band gets the whole signal through
+ * a neutral compressor. `solo` mutes every other band (live preview only).
+ */
+function applyMultiband(nodes, multiband, sampleRate, solo = -1) {
+  const { KNEE } = AUDIO_CONSTANTS.MULTIBAND;
+  const enabled = Boolean(multiband?.enabled);
+  const bandCount = enabled ? multiband.bandCount : 1;
+
+  nodes.crossovers.forEach((crossover, i) => {
+    const frequency = i < bandCount - 1 ? multiband.crossovers[i] : sampleRate / 2;
+    [...crossover.lowpass, ...crossover.highpass, ...crossover.allpass].forEach(filter => {
+      filter.frequency.value = frequency;
+    });
+  });
+
+  nodes.bands.forEach(({ compressor, makeup }, i) => {
+    const band = enabled && i < bandCount ? multiband.bands[i] : null;
+    const active = band && !band.bypass;
+    const params = compressor.parameters;
+    if (active) {
+      params.get('threshold').value = band.threshold;
+      params.get('ratio').value = band.ratio;
+      params.get('knee').value = KNEE;
+      params.get('attack').value = band.attack / 1000;
+      params.get('release').value = band.release / 1000;
+    }
+    params.get('enabled').value = active ? 1 : 0;
+    const muted = enabled && solo >= 0 && solo !== i;
+    makeup.gain.value = muted ? 0 : Math.pow(10, (active ? band.makeup : 0) / 20);
+  });
+}
+
+function updateMultiband() {
+  if (!audioNodes.multiband) return;
+  applyMultiband(
+    audioNodes.multiband,
+    playerState.isBypassed ? null : multibandSettings,
+    audioNodes.context.sampleRate,
+    multibandSolo
+  );
 }
 
 function updateInputGain() {
   if (!audioNodes.inputGain) return;
   const linear = Math.pow(10, inputGainValue / 20);
   audioNodes.inputGain.gain.setValueAtTime(linear, audioNodes.context?.currentTime || 0);
+  updatePlatformSimulation();
 }
 
 // ============================================================================
@@ -707,6 +1117,7 @@ function initFaders() {
     onChange: (val) => {
       inputGainValue = val;
       updateInputGain();
+      updateClipReport();
     }
   });
 
@@ -725,116 +1136,26 @@ function initFaders() {
     onChange: (val) => {
       ceilingValueDb = val;
       updateAudioChain();
+      syncDeliveryProfile();
     }
   });
+}
 
-  // EQ Faders
-  faders.eqLow = new Fader('#eqLowFader', {
-    min: -12,
-    max: 12,
-    value: 0,
-    step: 0.5,
-    label: '80Hz',
-    unit: 'dB',
-    orientation: 'vertical',
-    height: 120,
-    showScale: false,
-    decimals: 1,
-    onChange: (val) => {
-      eqValues.low = val;
-      updateEQ();
-      clearActivePreset();
-    }
-  });
+function clearActivePreset() {
+  document.querySelectorAll('.preset-btn').forEach(b => b.classList.remove('active'));
+}
 
-  faders.eqLowMid = new Fader('#eqLowMidFader', {
-    min: -12,
-    max: 12,
-    value: 0,
-    step: 0.5,
-    label: '250Hz',
-    unit: 'dB',
-    orientation: 'vertical',
-    height: 120,
-    showScale: false,
-    decimals: 1,
-    onChange: (val) => {
-      eqValues.lowMid = val;
-      updateEQ();
-      clearActivePreset();
-    }
-  });
+// ============================================================================
+// Offline Render (Bounce) - Uses same Web Audio processing as preview
+// ============================================================================
 
-  faders.eqMid = new Fader('#eqMidFader', {
-    min: -12,
-    max: 12,
-    value: 0,
-    step: 0.5,
-    label: '1kHz',
-    unit: 'dB',
-    orientation: 'vertical',
-    height: 120,
-    showScale: false,
-    decimals: 1,
-    onChange: (val) => {
-      eqValues.mid = val;
-      updateEQ();
-      clearActivePreset();
-    }
-  });
-
-  faders.eqHighMid = new Fader('#eqHighMidFader', {
-    min: -12,
-    max: 12,
-    value: 0,
-    step: 0.5,
-    label: '4kHz',
-    unit: 'dB',
-    orientation: 'vertical',
-    height: 120,
-    showScale: false,
-    decimals: 1,
-    onChange: (val) => {
-      eqValues.highMid = val;
-      updateEQ();
-      clearActivePreset();
-    }
-  });
-
-  faders.eqHigh = new Fader('#eqHighFader', {
-    min: -12,
-    max: 12,
-    value: 0,
-    step: 0.5,
-    label: '12kHz',
-    unit: 'dB',
-    orientation: 'vertical',
-    height: 120,
-    showScale: false,
-    decimals: 1,
-    onChange: (val) => {
-      eqValues.high = val;
-      updateEQ();
-      clearActivePreset();
-    }
-  });
-}
-
-function clearActivePreset() {
-  document.querySelectorAll('.preset-btn').forEach(b => b.classList.remove('active'));
-}
-
-// ============================================================================
-// Offline Render (Bounce) - Uses same Web Audio processing as preview
-// ============================================================================
-
-/**
- * Encode an AudioBuffer to WAV format (supports 16-bit and 24-bit)
- */
-function encodeWAV(audioBuffer, targetSampleRate, bitDepth) {
-  const numChannels = audioBuffer.numberOfChannels;
-  const sampleRate = targetSampleRate || audioBuffer.sampleRate;
-  const bytesPerSample = bitDepth / 8;
+/**
+ * Encode an AudioBuffer to WAV format (supports 16-bit and 24-bit)
+ */
+function encodeWAV(audioBuffer, targetSampleRate, bitDepth) {
+  const numChannels = audioBuffer.numberOfChannels;
+  const sampleRate = targetSampleRate || audioBuffer.sampleRate;
+  const bytesPerSample = bitDepth / 8;
 
   const channelData = [];
   for (let ch = 0; ch < numChannels; ch++) {
@@ -893,27 +1214,30 @@ function encodeWAV(audioBuffer, targetSampleRate, bitDepth) {
 
 /**
  * Create audio processing nodes for offline context (same as preview chain)
+ * Worklets must be registered on the context first
  */
 function createOfflineNodes(offlineCtx, settings) {
   const nodes = {};
+  // Worklet stages take complete settings: missing values fall back to the defaults
+  const validated = validateSettings(settings);
 
-  // Input gain (first in chain)
+  // Input gain (first in chain), plus any export loudness correction
   nodes.inputGain = offlineCtx.createGain();
-  const inputGainDb = settings.inputGain || 0;
+  const inputGainDb = (settings.inputGain || 0) + (settings.loudnessCorrectionDb || 0);
   nodes.inputGain.gain.value = Math.pow(10, inputGainDb / 20);
 
   nodes.highpass = offlineCtx.createBiquadFilter();
   nodes.lowshelf = offlineCtx.createBiquadFilter();
   nodes.highshelf = offlineCtx.createBiquadFilter();
   nodes.midPeak = offlineCtx.createBiquadFilter();
-  nodes.compressor = offlineCtx.createDynamicsCompressor();
-  nodes.limiter = offlineCtx.createDynamicsCompressor();
+  nodes.dynamicEQ = createDynamicEQNode(offlineCtx);
+  nodes.saturation = createSaturationNodes(offlineCtx);
+  nodes.compressor = createGlueCompressorNode(offlineCtx);
+  nodes.clipper = createClipperNode(offlineCtx);
+  nodes.limiter = createLimiterNode(offlineCtx);
 
-  nodes.eqLow = offlineCtx.createBiquadFilter();
-  nodes.eqLowMid = offlineCtx.createBiquadFilter();
-  nodes.eqMid = offlineCtx.createBiquadFilter();
-  nodes.eqHighMid = offlineCtx.createBiquadFilter();
-  nodes.eqHigh = offlineCtx.createBiquadFilter();
+  nodes.eq = createEQStage(offlineCtx);
+  nodes.multiband = createMultibandNodes(offlineCtx);
 
   nodes.stereoSplitter = offlineCtx.createChannelSplitter(2);
   nodes.stereoMerger = offlineCtx.createChannelMerger(2);
@@ -921,30 +1245,17 @@ function createOfflineNodes(offlineCtx, settings) {
   nodes.rToMid = offlineCtx.createGain();
   nodes.lToSide = offlineCtx.createGain();
   nodes.rToSide = offlineCtx.createGain();
-
-  // Configure EQ bands
-  nodes.eqLow.type = 'lowshelf';
-  nodes.eqLow.frequency.value = 80;
-  nodes.eqLow.gain.value = settings.eqLow || 0;
-
-  nodes.eqLowMid.type = 'peaking';
-  nodes.eqLowMid.frequency.value = 250;
-  nodes.eqLowMid.Q.value = 1;
-  nodes.eqLowMid.gain.value = settings.eqLowMid || 0;
-
-  nodes.eqMid.type = 'peaking';
-  nodes.eqMid.frequency.value = 1000;
-  nodes.eqMid.Q.value = 1;
-  nodes.eqMid.gain.value = settings.eqMid || 0;
-
-  nodes.eqHighMid.type = 'peaking';
-  nodes.eqHighMid.frequency.value = 4000;
-  nodes.eqHighMid.Q.value = 1;
-  nodes.eqHighMid.gain.value = settings.eqHighMid || 0;
-
-  nodes.eqHigh.type = 'highshelf';
-  nodes.eqHigh.frequency.value = 12000;
-  nodes.eqHigh.gain.value = settings.eqHigh || 0;
+  nodes.midToL = offlineCtx.createGain();
+  nodes.midToR = offlineCtx.createGain();
+  nodes.sideToL = offlineCtx.createGain();
+  nodes.sideToR = offlineCtx.createGain();
+  nodes.monoBassMid = offlineCtx.createBiquadFilter();
+  nodes.monoBassSideHP1 = offlineCtx.createBiquadFilter();
+  nodes.monoBassSideHP2 = offlineCtx.createBiquadFilter();
+
+  // Configure EQ bands and multiband compressor
+  applyEQBands(nodes.eq, settings.eqBands || []);
+  applyMultiband(nodes.multiband, settings.multiband, offlineCtx.sampleRate);
 
   nodes.highpass.type = 'highpass';
   nodes.highpass.frequency.value = settings.cleanLowEnd ? 30 : 1;
@@ -962,67 +1273,118 @@ function createOfflineNodes(offlineCtx, settings) {
   nodes.midPeak.type = 'peaking';
   nodes.midPeak.frequency.value = 5000;
   nodes.midPeak.Q.value = 2;
-  nodes.midPeak.gain.value = settings.tameHarsh ? -2 : 0;
-
-  if (settings.glueCompression) {
-    nodes.compressor.threshold.value = -18;
-    nodes.compressor.knee.value = 10;
-    nodes.compressor.ratio.value = 3;
-    nodes.compressor.attack.value = 0.02;
-    nodes.compressor.release.value = 0.25;
-  } else {
-    nodes.compressor.threshold.value = 0;
-    nodes.compressor.ratio.value = 1;
-  }
-
-  if (settings.truePeakLimit) {
-    nodes.limiter.threshold.value = settings.truePeakCeiling || -1;
-    nodes.limiter.knee.value = 0;
-    nodes.limiter.ratio.value = 20;
-    nodes.limiter.attack.value = 0.001;
-    nodes.limiter.release.value = 0.05;
-  } else {
-    nodes.limiter.threshold.value = 0;
-    nodes.limiter.ratio.value = 1;
-  }
+  nodes.midPeak.gain.value = settings.tameHarsh && settings.tameHarshMode !== 'dynamic' ? -2 : 0;
+  applyDynamicEQ(nodes.dynamicEQ, validated, settings.tameHarsh && settings.tameHarshMode === 'dynamic');
+  applySaturation(nodes.saturation, validated, settings.saturation);
+  applyGlueCompressor(nodes.compressor, validated, settings.glueCompression);
+  applyClipper(nodes.clipper, validated, settings.clipper);
+  nodes.limiter.parameters.get('ceiling').value = settings.truePeakCeiling ?? AUDIO_CONSTANTS.LIMITER.DEFAULT_CEILING_DB;
+  nodes.limiter.parameters.get('enabled').value = settings.truePeakLimit ? 1 : 0;
 
   const width = settings.stereoWidth !== undefined ? settings.stereoWidth / 100 : 1.0;
-  const midCoef = 0.5;
-  const sideCoef = 0.5 * width;
-  nodes.lToMid.gain.value = midCoef + sideCoef;
-  nodes.rToMid.gain.value = midCoef - sideCoef;
-  nodes.lToSide.gain.value = midCoef - sideCoef;
-  nodes.rToSide.gain.value = midCoef + sideCoef;
+  nodes.lToMid.gain.value = 0.5;
+  nodes.rToMid.gain.value = 0.5;
+  nodes.lToSide.gain.value = 0.5;
+  nodes.rToSide.gain.value = -0.5;
+  nodes.midToL.gain.value = 1;
+  nodes.midToR.gain.value = 1;
+  nodes.sideToL.gain.value = width;
+  nodes.sideToR.gain.value = -width;
+
+  const monoBassFreq = settings.centerBass ? (settings.centerBassFreq || AUDIO_CONSTANTS.MONO_BASS.DEFAULT_FREQUENCY) : 1;
+  nodes.monoBassMid.type = 'allpass';
+  nodes.monoBassMid.frequency.value = monoBassFreq;
+  nodes.monoBassMid.Q.value = AUDIO_CONSTANTS.MONO_BASS.ALLPASS_Q;
+  nodes.monoBassSideHP1.type = 'highpass';
+  nodes.monoBassSideHP1.frequency.value = monoBassFreq;
+  nodes.monoBassSideHP1.Q.value = BUTTERWORTH_Q_DB;
+  nodes.monoBassSideHP2.type = 'highpass';
+  nodes.monoBassSideHP2.frequency.value = monoBassFreq;
+  nodes.monoBassSideHP2.Q.value = BUTTERWORTH_Q_DB;
 
   return nodes;
 }
 
 /**
- * Render audio buffer through effects chain using OfflineAudioContext
+ * Remove the first `latency` samples of a rendered buffer (latency compensation)
  */
-async function renderOffline(sourceBuffer, settings, onProgress) {
-  const targetSampleRate = settings.sampleRate || 44100;
-  const duration = sourceBuffer.duration;
-  const numSamples = Math.ceil(duration * targetSampleRate);
+function trimLatency(buffer, latency, length) {
+  const trimmed = new AudioBuffer({
+    numberOfChannels: buffer.numberOfChannels,
+    length,
+    sampleRate: buffer.sampleRate
+  });
+  for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+    trimmed.copyToChannel(buffer.getChannelData(ch).subarray(latency, latency + length), ch);
+  }
+  return trimmed;
+}
+
+/**
+ * Linear-phase replacement for the stereo EQ and Polish biquads ahead of the
+ * dynamic EQ (export only): a ConvolverNode running an FIR with their combined
+ * magnitude response. The air shelf follows the dynamic EQ, as in the preview,
+ * so it stays a biquad; so do the mid/side and left/right EQ bands, which run
+ * right after the FIR (it filters both channels alike, so the order doesn't matter).
+ */
+function createLinearPhaseEQ(ctx, nodes) {
+  const frequencies = getLinearPhaseFrequencies(ctx.sampleRate);
+  const magnitude = new Float32Array(frequencies.length).fill(1);
+  const filterMagnitude = new Float32Array(frequencies.length);
+  const phase = new Float32Array(frequencies.length);
+  for (const filter of [nodes.highpass, ...nodes.eq.filters.stereo, nodes.lowshelf, nodes.midPeak]) {
+    filter.getFrequencyResponse(frequencies, filterMagnitude, phase);
+    for (let k = 0; k < magnitude.length; k++) {
+      magnitude[k] *= filterMagnitude[k];
+    }
+  }
 
-  console.log('[Offline Render] Starting...', { duration, targetSampleRate, numSamples });
+  const fir = designLinearPhaseFIR(magnitude);
+  const impulse = new AudioBuffer({ numberOfChannels: 1, length: fir.length, sampleRate: ctx.sampleRate });
+  impulse.copyToChannel(fir, 0);
+  return new ConvolverNode(ctx, { buffer: impulse, disableNormalization: true });
+}
 
-  const offlineCtx = new OfflineAudioContext(2, numSamples, targetSampleRate);
+/**
+ * Render audio buffer through effects chain using OfflineAudioContext (one pass)
+ * @returns {Promise<AudioBuffer>} Latency-compensated render
+ */
+async function renderChain(sourceBuffer, settings) {
+  const targetSampleRate = settings.sampleRate || 44100;
+  const numSamples = Math.ceil(sourceBuffer.duration * targetSampleRate);
+  const { saturationOversample } = validateSettings(settings);
+  const latency = AUDIO_CONSTANTS.CLIPPER.LATENCY_SAMPLES + getLimiterLatency(targetSampleRate) +
+    (settings.linearPhaseEQ ? getLinearPhaseLatency() : 0) +
+    (settings.saturation ? await getSaturationLatency(targetSampleRate, saturationOversample) : 0);
+
+  // Render extra samples to flush the clipper and limiter delays (and the linear-phase EQ
+  // and saturation oversampling delays), then trim them off the front
+  const offlineCtx = new OfflineAudioContext(2, numSamples + latency, targetSampleRate);
+  await registerWorklets(offlineCtx);
   const source = offlineCtx.createBufferSource();
   source.buffer = sourceBuffer;
 
   const nodes = createOfflineNodes(offlineCtx, settings);
 
-  source.connect(nodes.inputGain)
-    .connect(nodes.highpass)
-    .connect(nodes.eqLow)
-    .connect(nodes.eqLowMid)
-    .connect(nodes.eqMid)
-    .connect(nodes.eqHighMid)
-    .connect(nodes.eqHigh)
-    .connect(nodes.lowshelf)
-    .connect(nodes.midPeak)
-    .connect(nodes.highshelf)
+  const input = source.connect(nodes.inputGain);
+  if (settings.linearPhaseEQ) {
+    input.connect(createLinearPhaseEQ(offlineCtx, nodes))
+      .connect(nodes.eq.routed);
+    nodes.eq.output
+      .connect(nodes.dynamicEQ)
+      .connect(nodes.highshelf)
+      .connect(nodes.saturation.input);
+  } else {
+    input.connect(nodes.highpass).connect(nodes.eq.input);
+    nodes.eq.output
+      .connect(nodes.lowshelf)
+      .connect(nodes.midPeak)
+      .connect(nodes.dynamicEQ)
+      .connect(nodes.highshelf)
+      .connect(nodes.saturation.input);
+  }
+  nodes.saturation.output.connect(nodes.multiband.input);
+  nodes.multiband.output
     .connect(nodes.compressor)
     .connect(nodes.stereoSplitter);
 
@@ -1031,30 +1393,300 @@ async function renderOffline(sourceBuffer, settings, onProgress) {
   nodes.stereoSplitter.connect(nodes.rToMid, 1);
   nodes.stereoSplitter.connect(nodes.rToSide, 1);
 
-  nodes.lToMid.connect(nodes.stereoMerger, 0, 0);
-  nodes.rToMid.connect(nodes.stereoMerger, 0, 0);
-  nodes.lToSide.connect(nodes.stereoMerger, 0, 1);
-  nodes.rToSide.connect(nodes.stereoMerger, 0, 1);
+  nodes.lToMid.connect(nodes.monoBassMid);
+  nodes.rToMid.connect(nodes.monoBassMid);
+  nodes.monoBassMid.connect(nodes.midToL);
+  nodes.monoBassMid.connect(nodes.midToR);
+
+  nodes.lToSide.connect(nodes.monoBassSideHP1);
+  nodes.rToSide.connect(nodes.monoBassSideHP1);
+  nodes.monoBassSideHP1.connect(nodes.monoBassSideHP2);
+  nodes.monoBassSideHP2.connect(nodes.sideToL);
+  nodes.monoBassSideHP2.connect(nodes.sideToR);
+
+  nodes.midToL.connect(nodes.stereoMerger, 0, 0);
+  nodes.sideToL.connect(nodes.stereoMerger, 0, 0);
+  nodes.midToR.connect(nodes.stereoMerger, 0, 1);
+  nodes.sideToR.connect(nodes.stereoMerger, 0, 1);
 
-  nodes.stereoMerger.connect(nodes.limiter).connect(offlineCtx.destination);
+  nodes.stereoMerger.connect(nodes.clipper).connect(nodes.limiter).connect(offlineCtx.destination);
 
   source.start(0);
+  return trimLatency(await offlineCtx.startRendering(), latency, numSamples);
+}
+
+/**
+ * Render audio buffer through effects chain, verify the master loudness and
+ * re-render with corrective gain until it is within tolerance of the target
+ * @returns {Promise<{wavData: Uint8Array, renderedBuffer: AudioBuffer, truePeak: Object, truePeakDb: number, lufs: number}>}
+ */
+async function renderOffline(sourceBuffer, settings, onProgress) {
+  const targetSampleRate = settings.sampleRate || 44100;
+  const targetLufs = settings.targetLufs ?? targetLufsDb;
+  const { TOLERANCE_LU, MAX_PASSES, MAX_CORRECTION_DB } = LOUDNESS_CORRECTION;
+
+  console.log('[Offline Render] Starting...', { duration: sourceBuffer.duration, targetSampleRate });
   if (onProgress) onProgress(10);
 
-  const renderedBuffer = await offlineCtx.startRendering();
-  if (onProgress) onProgress(70);
+  // Initial correction covers a target changed since the source was normalized
+  const initialCorrectionDb = settings.loudnessCorrectionDb || 0;
+  const ceiling = settings.truePeakCeiling ?? AUDIO_CONSTANTS.LIMITER.DEFAULT_CEILING_DB;
+  let correctionDb = initialCorrectionDb;
+  let renderedBuffer = await renderChain(sourceBuffer, settings);
+  let lufs, truePeak, truePeakDb;
+
+  // Measuring a whole render blocks the main thread, so let the UI (and a
+  // cancel click) in before and between the scans, and stop once cancelled
+  const yieldToUI = () => new Promise(resolve => setTimeout(resolve, 10));
+  const measure = async () => {
+    await yieldToUI();
+    lufs = measureLUFS(renderedBuffer);
+    await yieldToUI();
+    truePeak = scanTruePeak(renderedBuffer);
+    truePeakDb = peakToDb(truePeak.peak);
+    if (processingCancelled) {
+      throw new Error('Cancelled');
+    }
+  };
+  await measure();
+
+  // Gain change the next pass needs: towards the target loudness, and never
+  // less than what brings a true peak the limiter let through back under the
+  // ceiling. The limiter should meet the ceiling on its own, so an overshoot is logged.
+  let ceilingHit = false;
+  const getCorrectionStep = () => {
+    let step = settings.normalizeLoudness && isFinite(lufs) && Math.abs(targetLufs - lufs) > TOLERANCE_LU
+      ? targetLufs - lufs
+      : 0;
+    if (settings.truePeakLimit && truePeakDb > ceiling) {
+      console.warn(`[Offline Render] True peak ${truePeakDb.toFixed(3)} dBTP is over the ${ceiling} dB ceiling`);
+      if (ceiling - truePeakDb < step) ceilingHit = true;
+      step = Math.min(step, ceiling - truePeakDb);
+    }
+    return step;
+  };
+
+  let correctionPinned = false;
+  for (let pass = 2, step = getCorrectionStep(); pass <= MAX_PASSES && step !== 0; pass++, step = getCorrectionStep()) {
+    if (processingCancelled) {
+      throw new Error('Cancelled');
+    }
+    const nextCorrection = Math.max(initialCorrectionDb - MAX_CORRECTION_DB,
+      Math.min(initialCorrectionDb + MAX_CORRECTION_DB, correctionDb + step));
+    // Correction is pinned at its limit - another pass would render the same thing
+    if (nextCorrection === correctionDb) {
+      correctionPinned = true;
+      break;
+    }
+    correctionDb = nextCorrection;
+
+    console.log(`[Offline Render] Pass ${pass}: ${lufs.toFixed(2)} LUFS, ${truePeakDb.toFixed(2)} dBTP, correcting by ${correctionDb.toFixed(2)} dB`);
+    if (onProgress) onProgress(10 + Math.round(70 * (pass - 1) / MAX_PASSES), `Correcting loudness (pass ${pass})...`);
+    renderedBuffer = await renderChain(sourceBuffer, { ...settings, loudnessCorrectionDb: correctionDb });
+    await measure();
+  }
+
+  // Why the master missed the target, if it did
+  let offTargetReason = null;
+  if (settings.normalizeLoudness && isFinite(lufs) && Math.abs(targetLufs - lufs) > TOLERANCE_LU) {
+    offTargetReason = correctionPinned ? 'correction-limit' : ceilingHit ? 'ceiling' : 'max-passes';
+  }
+  if (onProgress) onProgress(80);
 
   const wavData = encodeWAV(renderedBuffer, targetSampleRate, settings.bitDepth || 16);
   if (onProgress) onProgress(90);
 
-  console.log('[Offline Render] Complete!', { outputSize: wavData.byteLength });
-  return wavData;
+  console.log('[Offline Render] Complete!', { outputSize: wavData.byteLength, lufs, truePeakDb, correctionDb, offTargetReason });
+  return { wavData, renderedBuffer, truePeak, truePeakDb, lufs, offTargetReason };
 }
 
 // ============================================================================
 // Level Meter
 // ============================================================================
 
+// Meter modes. Levels are dBFS internally; `reference` is the dBFS level shown
+// as 0 on the scale, and warn/danger zones and ticks are relative to it.
+// Detectors: peak (sample peak of the analyser frame), truePeak (4x oversampled),
+// quasiPeak (IEC 60268-10 integration) and rms (sine-calibrated, AES17).
+const METER_MODES = {
+  peak: { name: 'Peak', detector: 'peak', reference: 0, top: 0, rangeDb: 48, fallRate: 25,
+    warnDb: -12, dangerDb: -6, unit: 'dB', ticks: [-60, -48, -36, -24, -18, -12, -6, -3, 0] },
+  truePeak: { name: 'True Peak', detector: 'truePeak', reference: 0, top: 0, rangeDb: 48, fallRate: 25,
+    warnDb: -6, dangerDb: -1, unit: 'dBTP', ticks: [-60, -48, -36, -24, -18, -12, -6, -3, -1, 0] },
+  // EBU PPM (Type IIb): 10ms integration, falls 24 dB in 2.8s; alignment -18 dBFS, PML -9 dBFS
+  ppm: { name: 'EBU PPM', detector: 'quasiPeak', attackMs: 6.3, releaseDbPerSec: 24 / 2.8,
+    reference: -18, top: 0, rangeDb: 36, fallRate: null,
+    warnDb: 4, dangerDb: 9, unit: 'dB', ticks: [-16, -12, -8, -4, 0, 4, 8, 12, 18] },
+  // VU: 300ms integration, 0 VU = -18 dBFS
+  vu: { name: 'VU', detector: 'rms', integrationMs: 300, reference: -18, top: -15, rangeDb: 23, fallRate: null,
+    warnDb: 0, dangerDb: 0, unit: 'VU', ticks: [-20, -10, -7, -5, -3, -2, -1, 0, 1, 2, 3] },
+  // K-System (Katz): RMS with 0 at -20/-14/-12 dBFS, peak headroom above it
+  k20: { name: 'K-20', detector: 'rms', integrationMs: 300, reference: -20, top: 0, rangeDb: 60, fallRate: null,
+    warnDb: 0, dangerDb: 4, unit: 'dB', ticks: [-40, -30, -20, -10, -4, 0, 4, 8, 12, 20] },
+  k14: { name: 'K-14', detector: 'rms', integrationMs: 300, reference: -14, top: 0, rangeDb: 54, fallRate: null,
+    warnDb: 0, dangerDb: 4, unit: 'dB', ticks: [-40, -30, -20, -10, -4, 0, 4, 8, 14] },
+  k12: { name: 'K-12', detector: 'rms', integrationMs: 300, reference: -12, top: 0, rangeDb: 52, fallRate: null,
+    warnDb: 0, dangerDb: 4, unit: 'dB', ticks: [-40, -30, -20, -10, -4, 0, 4, 8, 12] }
+};
+const METER_SETTINGS_KEY = 'meterSettings';
+const SINE_RMS_CORRECTION_DB = 3.01;  // RMS of a sine reads 3 dB below its peak
+
+// Mode, display range (0 = the mode's default) and peak hold time (0 = off)
+const meterSettings = { mode: 'peak', rangeDb: 0, holdSec: 1.5 };
+try {
+  const saved = JSON.parse(localStorage.getItem(METER_SETTINGS_KEY) || '{}');
+  if (METER_MODES[saved.mode]) meterSettings.mode = saved.mode;
+  if (Number.isFinite(saved.rangeDb) && saved.rangeDb >= 0) meterSettings.rangeDb = saved.rangeDb;
+  // Infinite hold is stored as null (JSON has no Infinity)
+  if (saved.holdSec === null) meterSettings.holdSec = Infinity;
+  else if (Number.isFinite(saved.holdSec) && saved.holdSec >= 0) meterSettings.holdSec = saved.holdSec;
+} catch (error) {
+  console.warn('[Meter] Ignoring unreadable meter settings:', error);
+}
+
+function getMeterMode() {
+  return METER_MODES[meterSettings.mode];
+}
+
+/**
+ * Top and bottom of the displayed scale in dBFS
+ */
+function getMeterScale() {
+  const mode = getMeterMode();
+  return { top: mode.top, bottom: mode.top - (meterSettings.rangeDb || mode.rangeDb) };
+}
+
+/**
+ * Level (dBFS) of one channel's analyser frame in the given mode
+ * @param {number} samplePeak - Sample peak of the whole frame
+ * @param {number} newSamples - Samples at the end of the frame not seen last frame
+ */
+function measureMeterLevel(mode, data, samplePeak, ch, newSamples) {
+  const sampleRate = audioNodes.context.sampleRate;
+  const start = data.length - newSamples;
+
+  if (mode.detector === 'truePeak') {
+    return amplitudeToDB(getTruePeak(data));
+  }
+
+  if (mode.detector === 'quasiPeak') {
+    const attack = 1 - Math.exp(-1000 / (mode.attackMs * sampleRate));
+    const release = Math.pow(10, -mode.releaseDbPerSec / 20 / sampleRate);
+    let envelope = meterState.detectors[ch];
+    for (let i = start; i < data.length; i++) {
+      const abs = Math.abs(data[i]);
+      envelope = abs > envelope ? envelope + (abs - envelope) * attack : envelope * release;
+    }
+    meterState.detectors[ch] = envelope;
+    return amplitudeToDB(envelope);
+  }
+
+  if (mode.detector === 'rms') {
+    // Exponential mean square reaching 99% of a step within the integration time
+    const coeff = 1 - Math.exp(-4.6 * 1000 / (mode.integrationMs * sampleRate));
+    let meanSquare = meterState.detectors[ch];
+    for (let i = start; i < data.length; i++) {
+      meanSquare += (data[i] * data[i] - meanSquare) * coeff;
+    }
+    meterState.detectors[ch] = meanSquare;
+    return meanSquare > 0 ? 10 * Math.log10(meanSquare) + SINE_RMS_CORRECTION_DB : -96;
+  }
+
+  return amplitudeToDB(samplePeak);
+}
+
+/**
+ * dBFS level as shown on the active scale, e.g. "+2.0 VU"
+ */
+function formatMeterLevel(db) {
+  const mode = getMeterMode();
+  if (!(db > -96)) return `-∞ ${mode.unit}`;
+  const value = db - mode.reference;
+  return `${value > 0 ? '+' : ''}${value.toFixed(1)} ${mode.unit}`;
+}
+
+function updatePeakDisplays(levels) {
+  if (peakLDisplay) peakLDisplay.textContent = `L: ${formatMeterLevel(levels[0])}`;
+  if (peakRDisplay) peakRDisplay.textContent = `R: ${formatMeterLevel(levels[1])}`;
+}
+
+/**
+ * Scale labels under the meter, placed at their level within the current range
+ */
+function updateMeterLabels() {
+  if (!meterLabels) return;
+  const mode = getMeterMode();
+  const { top, bottom } = getMeterScale();
+  meterLabels.textContent = '';
+  for (const tick of mode.ticks) {
+    const db = mode.reference + tick;
+    if (db < bottom || db > top) continue;
+    const label = document.createElement('span');
+    label.textContent = tick > 0 ? `+${tick}` : `${tick}`;
+    const position = ((db - bottom) / (top - bottom)) * 100;
+    label.style.left = `${position}%`;
+    // Keep the end labels inside the meter
+    if (position <= 0) label.style.transform = 'none';
+    if (position >= 100) label.style.transform = 'translateX(-100%)';
+    meterLabels.appendChild(label);
+  }
+}
+
+function resetMeterLevels() {
+  meterState.levels = [-96, -96];
+  meterState.peakLevels = [-Infinity, -Infinity];
+  meterState.detectors = [0, 0];
+  meterState.lastFrameTime = 0;
+  meterState.overload = false;
+}
+
+function populateMeterModeSelect() {
+  for (const [id, mode] of Object.entries(METER_MODES)) {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = mode.name;
+    meterModeSelect.appendChild(option);
+  }
+}
+
+function saveMeterSettings() {
+  localStorage.setItem(METER_SETTINGS_KEY, JSON.stringify({
+    ...meterSettings,
+    holdSec: meterSettings.holdSec === Infinity ? null : meterSettings.holdSec
+  }));
+}
+
+function applyMeterSettings() {
+  meterModeSelect.value = meterSettings.mode;
+  meterRangeSelect.value = String(meterSettings.rangeDb);
+  meterHoldSelect.value = meterSettings.holdSec === Infinity ? 'hold' : String(meterSettings.holdSec);
+  resetMeterLevels();
+  updateMeterLabels();
+  drawMeter();
+  updatePeakDisplays(meterState.peakLevels);
+}
+
+function initMeterSettings() {
+  if (!meterModeSelect) return;
+  populateMeterModeSelect();
+  meterModeSelect.addEventListener('change', () => {
+    meterSettings.mode = meterModeSelect.value;
+    saveMeterSettings();
+    applyMeterSettings();
+  });
+  meterRangeSelect.addEventListener('change', () => {
+    meterSettings.rangeDb = Number(meterRangeSelect.value);
+    saveMeterSettings();
+    applyMeterSettings();
+  });
+  meterHoldSelect.addEventListener('change', () => {
+    meterSettings.holdSec = meterHoldSelect.value === 'hold' ? Infinity : Number(meterHoldSelect.value);
+    saveMeterSettings();
+    applyMeterSettings();
+  });
+  applyMeterSettings();
+}
+
 function amplitudeToDB(amplitude) {
   return 20 * Math.log10(amplitude < 1e-8 ? 1e-8 : amplitude);
 }
@@ -1063,6 +1695,9 @@ function updateLevelMeter() {
   if (!audioNodes.analyserL || !meterCtx || !playerState.isPlaying) return;
 
   const time = performance.now() / 1000;
+  const deltaTime = meterState.lastFrameTime ? Math.min(0.1, time - meterState.lastFrameTime) : 1 / 60;
+  meterState.lastFrameTime = time;
+  const mode = getMeterMode();
 
   // Get time domain data from L and R analysers
   const bufferLength = audioNodes.analyserL.fftSize;
@@ -1080,22 +1715,29 @@ function updateLevelMeter() {
     if (absR > peakR) peakR = absR;
   }
 
-  const peaks = [peakL, peakR];
-  const dbLevels = peaks.map(p => amplitudeToDB(p));
+  // Only the samples that arrived since the last frame go through the
+  // integrating detectors (the analyser window overlaps between frames)
+  const newSamples = Math.min(bufferLength, Math.max(1, Math.round(deltaTime * audioNodes.context.sampleRate)));
+  const dbLevels = [
+    measureMeterLevel(mode, dataArrayL, peakL, 0, newSamples),
+    measureMeterLevel(mode, dataArrayR, peakR, 1, newSamples)
+  ];
 
-  // Update levels with fall rate
-  const deltaTime = 1 / 60; // Approximate frame time
+  // Update levels: peak modes fall at the mode's rate, integrating modes follow the detector
+  const fallRate = mode.fallRate || meterState.FALL_RATE;
   for (let ch = 0; ch < 2; ch++) {
-    const fallingLevel = meterState.levels[ch] - meterState.FALL_RATE * deltaTime;
+    const fallingLevel = mode.fallRate ? meterState.levels[ch] - mode.fallRate * deltaTime : -Infinity;
     meterState.levels[ch] = Math.max(dbLevels[ch], Math.max(-96, fallingLevel));
 
     // Update peak hold
-    if (dbLevels[ch] > meterState.peakLevels[ch]) {
-      meterState.peakLevels[ch] = dbLevels[ch];
+    if (meterSettings.holdSec === 0) {
+      meterState.peakLevels[ch] = -Infinity;
+    } else if (meterState.levels[ch] > meterState.peakLevels[ch]) {
+      meterState.peakLevels[ch] = meterState.levels[ch];
       meterState.peakHoldTimes[ch] = time;
-    } else if (time > meterState.peakHoldTimes[ch] + meterState.PEAK_HOLD_TIME) {
+    } else if (time > meterState.peakHoldTimes[ch] + meterSettings.holdSec) {
       // Let peak fall after hold time
-      const fallingPeak = meterState.peakLevels[ch] - meterState.FALL_RATE * deltaTime;
+      const fallingPeak = meterState.peakLevels[ch] - fallRate * deltaTime;
       meterState.peakLevels[ch] = Math.max(fallingPeak, meterState.levels[ch]);
     }
   }
@@ -1108,18 +1750,37 @@ function updateLevelMeter() {
     meterState.overload = false;
   }
 
+  // Phase correlation, smoothed so the readout doesn't flicker
+  let sumLR = 0, sumLL = 0, sumRR = 0;
+  for (let i = 0; i < bufferLength; i++) {
+    sumLR += dataArrayL[i] * dataArrayR[i];
+    sumLL += dataArrayL[i] * dataArrayL[i];
+    sumRR += dataArrayR[i] * dataArrayR[i];
+  }
+  const energy = Math.sqrt(sumLL * sumRR);
+  // Silence has no phase relationship; let the reading settle back to 0
+  const correlation = energy > 1e-10 ? sumLR / energy : 0;
+  meterState.correlation += (correlation - meterState.correlation) * meterState.CORRELATION_SMOOTHING;
+
+  if (meterState.correlation < 0) {
+    if (meterState.negativeSince === null) meterState.negativeSince = time;
+  } else {
+    meterState.negativeSince = null;
+  }
+
+  // Gain reduction of the dynamics stages
+  updateGainReduction(time, deltaTime);
+
   // Draw meter
   drawMeter();
+  drawVectorscope(dataArrayL, dataArrayR);
+  drawSpectrum();
+  drawGainReductionMeters();
+  recordGainReductionHistory();
+  drawCorrelation();
 
-  // Update peak displays
-  if (peakLDisplay) {
-    const peakL = meterState.peakLevels[0];
-    peakLDisplay.textContent = `L: ${peakL > -96 ? peakL.toFixed(1) : '-∞'} dB`;
-  }
-  if (peakRDisplay) {
-    const peakR = meterState.peakLevels[1];
-    peakRDisplay.textContent = `R: ${peakR > -96 ? peakR.toFixed(1) : '-∞'} dB`;
-  }
+  // Update peak displays (held value, or the live level with hold off)
+  updatePeakDisplays(meterSettings.holdSec === 0 ? meterState.levels : meterState.peakLevels);
 
   // Update overload indicator
   if (overloadIndicator) {
@@ -1133,12 +1794,19 @@ function updateLevelMeter() {
 function drawMeter() {
   if (!meterCtx) return;
 
+  const mode = getMeterMode();
+  const { top, bottom } = getMeterScale();
   const width = meterCanvas.width;
   const height = meterCanvas.height;
-  const dbRange = 48; // -48 to 0 dB
-  const dbStart = -48;
+  const dbRange = top - bottom;
+  const dbStart = bottom;
   const channelHeight = height / 2 - 1;
 
+  // Colour zones relative to the mode's reference level
+  const toStop = (db) => Math.max(0, Math.min(1, (mode.reference + db - dbStart) / dbRange));
+  const warnStop = toStop(mode.warnDb);
+  const dangerStop = Math.max(warnStop, toStop(mode.dangerDb));
+
   // Clear canvas
   meterCtx.fillStyle = '#0a0a0a';
   meterCtx.fillRect(0, 0, width, height);
@@ -1152,20 +1820,20 @@ function drawMeter() {
     // Create gradient
     const gradient = meterCtx.createLinearGradient(0, 0, width, 0);
     gradient.addColorStop(0, '#22c55e');           // Green
-    gradient.addColorStop(0.75, '#22c55e');        // Green until -12dB
-    gradient.addColorStop(0.75, '#eab308');        // Yellow
-    gradient.addColorStop(0.875, '#eab308');       // Yellow until -6dB
-    gradient.addColorStop(0.875, '#ef4444');       // Red
+    gradient.addColorStop(warnStop, '#22c55e');    // Green until the warning level
+    gradient.addColorStop(warnStop, '#eab308');    // Yellow
+    gradient.addColorStop(dangerStop, '#eab308');  // Yellow until the danger level
+    gradient.addColorStop(dangerStop, '#ef4444');  // Red
     gradient.addColorStop(1, '#ef4444');           // Red
 
     // Draw level bar
-    const levelWidth = Math.max(0, ((level - dbStart) / dbRange) * width);
+    const levelWidth = Math.max(0, Math.min(width, ((level - dbStart) / dbRange) * width));
     meterCtx.fillStyle = gradient;
     meterCtx.fillRect(0, y + 1, levelWidth, channelHeight);
 
     // Draw peak indicator
     if (peakLevel > -96) {
-      const peakX = ((peakLevel - dbStart) / dbRange) * width;
+      const peakX = Math.min(width, ((peakLevel - dbStart) / dbRange) * width);
       meterCtx.fillStyle = '#ffffff';
       meterCtx.fillRect(Math.max(0, peakX - 1), y + 1, 2, channelHeight);
     }
@@ -1176,12 +1844,246 @@ function drawMeter() {
   meterCtx.fillRect(0, height / 2 - 0.5, width, 1);
 }
 
+/**
+ * Goniometer: L/R rotated 45° so mono is vertical and out-of-phase is horizontal.
+ * A translucent fill each frame leaves a short persistence trail.
+ */
+function drawVectorscope(dataL, dataR) {
+  if (!vectorscopeCtx) return;
+
+  const size = vectorscopeCanvas.width;
+  const center = size / 2;
+  const scale = center * 0.9;
+
+  vectorscopeCtx.fillStyle = dataL ? 'rgba(10, 10, 10, 0.35)' : '#0a0a0a';
+  vectorscopeCtx.fillRect(0, 0, size, size);
+
+  // Axes: M (vertical), S (horizontal), L and R diagonals
+  vectorscopeCtx.strokeStyle = '#333';
+  vectorscopeCtx.lineWidth = 1;
+  vectorscopeCtx.beginPath();
+  vectorscopeCtx.moveTo(center, 0);
+  vectorscopeCtx.lineTo(center, size);
+  vectorscopeCtx.moveTo(0, center);
+  vectorscopeCtx.lineTo(size, center);
+  vectorscopeCtx.moveTo(0, 0);
+  vectorscopeCtx.lineTo(size, size);
+  vectorscopeCtx.moveTo(size, 0);
+  vectorscopeCtx.lineTo(0, size);
+  vectorscopeCtx.stroke();
+
+  if (!dataL) return;
+
+  vectorscopeCtx.fillStyle = '#22c55e';
+  for (let i = 0; i < dataL.length; i++) {
+    const x = center + (dataR[i] - dataL[i]) * Math.SQRT1_2 * scale;
+    const y = center - (dataL[i] + dataR[i]) * Math.SQRT1_2 * scale;
+    vectorscopeCtx.fillRect(x, y, 1, 1);
+  }
+}
+
+function drawCorrelation() {
+  const correlation = meterState.correlation;
+  const warn = meterState.negativeSince !== null &&
+    performance.now() / 1000 - meterState.negativeSince >= meterState.CORRELATION_WARN_TIME;
+
+  if (correlationCtx) {
+    const width = correlationCanvas.width;
+    const height = correlationCanvas.height;
+    const center = width / 2;
+
+    correlationCtx.fillStyle = '#0a0a0a';
+    correlationCtx.fillRect(0, 0, width, height);
+
+    // Bar grows from the centre (0) towards -1 (left) or +1 (right)
+    const barX = center + correlation * center;
+    correlationCtx.fillStyle = correlation < 0 ? '#ef4444' : '#22c55e';
+    correlationCtx.fillRect(Math.min(center, barX), 0, Math.abs(barX - center), height);
+
+    correlationCtx.fillStyle = '#555';
+    correlationCtx.fillRect(center - 0.5, 0, 1, height);
+  }
+
+  if (correlationDisplay) {
+    correlationDisplay.textContent = `Corr ${correlation >= 0 ? '+' : ''}${correlation.toFixed(2)}`;
+    correlationDisplay.classList.toggle('warn', warn);
+    correlationDisplay.title = warn ? 'Negative correlation: parts of the mix will cancel in mono' : '';
+  }
+}
+
+function updateGainReduction(time, deltaTime) {
+  const readings = {
+    compressor: meterState.compressorReduction,
+    clipper: meterState.clipperReduction,
+    limiter: meterState.limiterReduction
+  };
+  MULTIBAND_GR_STAGES.forEach((stage, i) => {
+    readings[stage] = meterState.multibandReduction[i];
+  });
+
+  for (const stage of Object.keys(readings)) {
+    const reading = Math.min(0, readings[stage]);
+    // Instant attack, release at the level meter's fall rate
+    const released = Math.min(0, meterState.gainReduction[stage] + meterState.FALL_RATE * deltaTime);
+    meterState.gainReduction[stage] = Math.min(reading, released);
+
+    if (reading <= meterState.gainReductionPeaks[stage]) {
+      meterState.gainReductionPeaks[stage] = reading;
+      meterState.gainReductionPeakTimes[stage] = time;
+    } else if (time > meterState.gainReductionPeakTimes[stage] + meterState.PEAK_HOLD_TIME) {
+      const releasedPeak = meterState.gainReductionPeaks[stage] + meterState.FALL_RATE * deltaTime;
+      meterState.gainReductionPeaks[stage] = Math.min(meterState.gainReduction[stage], releasedPeak);
+    }
+  }
+}
+
+/**
+ * Gain reduction bars grow from the left (0 dB) as reduction increases
+ */
+function drawGainReductionMeters() {
+  for (const [stage, { canvas, display }] of Object.entries(gainReductionMeters)) {
+    const reduction = meterState.gainReduction[stage];
+    const peak = meterState.gainReductionPeaks[stage];
+    const warn = -peak > meterState.GR_WARN_DB[stage];
+
+    if (canvas) {
+      const ctx = canvas.getContext('2d');
+      const { width, height } = canvas;
+      const toX = (db) => Math.min(1, -db / meterState.GR_RANGE_DB) * width;
+
+      ctx.fillStyle = '#0a0a0a';
+      ctx.fillRect(0, 0, width, height);
+      ctx.fillStyle = -reduction > meterState.GR_WARN_DB[stage] ? '#ef4444' : '#f59e0b';
+      ctx.fillRect(0, 0, toX(reduction), height);
+      if (peak < 0) {
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(Math.max(0, toX(peak) - 1), 0, 2, height);
+      }
+    }
+
+    if (display) {
+      display.textContent = `${peak < -0.05 ? peak.toFixed(1) : '0.0'} dB`;
+      display.classList.toggle('warn', warn);
+    }
+  }
+}
+
+function resetGainReduction() {
+  meterState.compressorReduction = 0;
+  meterState.clipperReduction = 0;
+  meterState.limiterReduction = 0;
+  meterState.multibandReduction.fill(0);
+  updateHarshReductionDisplay(0);
+  meterState.gainReduction = createGainReductionValues();
+  meterState.gainReductionPeaks = createGainReductionValues();
+  drawGainReductionMeters();
+}
+
+function formatLiveLufs(lufs) {
+  return lufs > -70 ? lufs.toFixed(1) : '-∞';
+}
+
+function updateLoudnessMeterDisplay() {
+  if (!loudnessLiveDisplay) return;
+  const { momentary, shortTerm, integrated } = meterState.loudness;
+  loudnessLiveDisplay.textContent =
+    `M: ${formatLiveLufs(momentary)}  S: ${formatLiveLufs(shortTerm)}  I: ${formatLiveLufs(integrated)} LUFS`;
+}
+
+/**
+ * Clear the running integrated loudness (e.g. when playback is stopped)
+ */
+function resetLoudnessMeter() {
+  if (audioNodes.loudnessMeter) {
+    audioNodes.loudnessMeter.port.postMessage({ type: 'reset' });
+  }
+  meterState.loudness = { momentary: -Infinity, shortTerm: -Infinity, integrated: -Infinity };
+  updateLoudnessMeterDisplay();
+  updatePlatformSimulation();
+}
+
+// ============================================================================
+// Streaming Normalization Simulator
+// ============================================================================
+
+const PLATFORM_SIM = {
+  MAX_PEAK_DB: -1,        // Platforms only turn tracks up while peaks stay below this
+  SMOOTHING_SEC: 0.3      // Time constant for gain changes as the measurement settles
+};
+
+function populatePlatformSimSelect() {
+  for (const [id, profile] of Object.entries(AUDIO_CONSTANTS.DELIVERY_PROFILES)) {
+    if (!profile.playback) continue;
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = profile.name;
+    platformSimSelect.appendChild(option);
+  }
+}
+
+/**
+ * Loudness of what is being heard: the live integrated measurement of the
+ * processed output once there is one, so input gain, EQ, saturation,
+ * compression, clipping and limiting all count. Until then, the file's
+ * offline loudness (at its normalization target) plus the input gain.
+ * An active limiter holds the peaks at the ceiling.
+ * @returns {{lufs: number, truePeakDb: number}|null}
+ */
+function getSimulatedLoudness() {
+  const source = fileState.sourceLoudness;
+  if (!source || !isFinite(source.lufs)) return null;
+
+  const normalized = audioNodes.buffer === fileState.normalizedBuffer && fileState.normalizedTargetLufs !== null;
+  const estimatedLufs = (normalized ? fileState.normalizedTargetLufs : source.lufs) + inputGainValue;
+  const lufs = isFinite(meterState.loudness.integrated) ? meterState.loudness.integrated : estimatedLufs;
+  const truePeakDb = truePeakLimit.checked && !playerState.isBypassed
+    ? ceilingValueDb
+    : source.truePeakDb + (estimatedLufs - source.lufs);
+  return { lufs, truePeakDb };
+}
+
+/**
+ * Gain (dB) a platform applies on playback: down to its reference level, and
+ * up only where it allows it and the peaks have headroom
+ */
+function getPlatformGainDb(playback, loudness) {
+  const gainDb = playback.referenceLufs - loudness.lufs;
+  if (gainDb <= 0) return gainDb;
+  if (!playback.turnsUp) return 0;
+  return Math.min(gainDb, Math.max(0, PLATFORM_SIM.MAX_PEAK_DB - loudness.truePeakDb));
+}
+
+function updatePlatformSimulation() {
+  const profile = AUDIO_CONSTANTS.DELIVERY_PROFILES[platformSimSelect.value];
+  const loudness = profile ? getSimulatedLoudness() : null;
+  const gainDb = loudness ? getPlatformGainDb(profile.playback, loudness) : 0;
+
+  if (audioNodes.gain) {
+    audioNodes.gain.gain.setTargetAtTime(
+      Math.pow(10, gainDb / 20),
+      audioNodes.context.currentTime,
+      PLATFORM_SIM.SMOOTHING_SEC
+    );
+  }
+
+  if (!profile) {
+    platformPenaltyDisplay.textContent = '';
+  } else if (!loudness) {
+    platformPenaltyDisplay.textContent = 'not measured';
+  } else {
+    platformPenaltyDisplay.textContent = `${gainDb > 0 ? '+' : ''}${gainDb.toFixed(1)} dB`;
+  }
+  platformPenaltyDisplay.classList.toggle('penalty', !!loudness && gainDb < 0);
+}
+
+platformSimSelect.addEventListener('change', updatePlatformSimulation);
+
 function startMeter() {
   if (!meterState.animationId) {
     // Reset meter state
-    meterState.levels = [-96, -96];
-    meterState.peakLevels = [-Infinity, -Infinity];
-    meterState.overload = false;
+    resetMeterLevels();
+    meterState.correlation = 0;
+    meterState.negativeSince = null;
     updateLevelMeter();
   }
 }
@@ -1192,52 +2094,799 @@ function stopMeter() {
     meterState.animationId = null;
   }
   // Reset display
-  meterState.levels = [-96, -96];
-  meterState.peakLevels = [-Infinity, -Infinity];
-  meterState.overload = false;
+  resetMeterLevels();
+  meterState.correlation = 0;
+  meterState.negativeSince = null;
   drawMeter();
-  if (peakLDisplay) peakLDisplay.textContent = 'L: -∞ dB';
-  if (peakRDisplay) peakRDisplay.textContent = 'R: -∞ dB';
+  drawVectorscope();
+  drawCorrelation();
+  spectrumState.peaks = null;
+  drawSpectrum();
+  resetGainReduction();
+  updatePeakDisplays(meterState.peakLevels);
   if (overloadIndicator) overloadIndicator.classList.remove('active');
 }
 
 // ============================================================================
-// WaveSurfer Waveform
+// Gain Reduction History (lane under the waveform)
 // ============================================================================
 
-function initWaveSurfer(audioBuffer, originalBlob) {
-  // Cleanup previous instance
-  if (wavesurfer) {
-    wavesurfer.destroy();
-    wavesurfer = null;
-  }
+const GR_HISTORY = {
+  SLOT_SEC: 0.1,          // One reading per 100ms of the file
+  COMPRESSOR_COLOR: '245, 158, 11',
+  LIMITER_COLOR: '239, 68, 68'
+};
 
-  // Revoke previous blob URL to prevent memory leak
-  if (currentBlobUrl) {
-    URL.revokeObjectURL(currentBlobUrl);
-    currentBlobUrl = null;
-  }
+const grHistoryCanvas = document.getElementById('grHistoryCanvas');
 
-  try {
-    // Create gradient
-    const ctx = document.createElement('canvas').getContext('2d');
-    const waveGradient = ctx.createLinearGradient(0, 0, 0, 48);
-    waveGradient.addColorStop(0, 'rgba(188, 177, 231, 0.8)');
-    waveGradient.addColorStop(0.5, 'rgba(154, 143, 209, 0.6)');
-    waveGradient.addColorStop(1, 'rgba(100, 90, 160, 0.3)');
+// Deepest gain reduction per slot, recorded during playback. Replaying a
+// passage overwrites it, so the lane follows setting changes.
+const grHistory = { compressor: null, limiter: null, lastSlot: -1 };
 
-    const progressGradient = ctx.createLinearGradient(0, 0, 0, 48);
-    progressGradient.addColorStop(0, '#BCB1E7');
-    progressGradient.addColorStop(0.5, '#9A8FD1');
-    progressGradient.addColorStop(1, '#7A6FB1');
+function resetGainReductionHistory(duration) {
+  const slots = Math.max(1, Math.ceil(duration / GR_HISTORY.SLOT_SEC));
+  grHistory.compressor = new Float32Array(slots);
+  grHistory.limiter = new Float32Array(slots);
+  grHistory.lastSlot = -1;
+  drawGainReductionHistory();
+}
 
-    // Extract peaks for immediate display
-    const peaks = extractPeaks(audioBuffer);
+function recordGainReductionHistory() {
+  if (!grHistory.compressor || !audioNodes.context) return;
+  const time = audioNodes.context.currentTime - playerState.startTime;
+  const slot = Math.floor(time / GR_HISTORY.SLOT_SEC);
+  if (slot < 0 || slot >= grHistory.compressor.length) return;
 
-    // Create blob URL for WaveSurfer (tracked for cleanup)
-    currentBlobUrl = URL.createObjectURL(originalBlob);
+  const readings = {
+    compressor: Math.min(0, meterState.compressorReduction),
+    limiter: Math.min(0, meterState.limiterReduction)
+  };
+  for (const stage of ['compressor', 'limiter']) {
+    grHistory[stage][slot] = slot === grHistory.lastSlot
+      ? Math.min(grHistory[stage][slot], readings[stage])
+      : readings[stage];
+  }
+  grHistory.lastSlot = slot;
+  drawGainReductionHistory();
+}
 
-    wavesurfer = WaveSurfer.create({
+/**
+ * Bars hang from the top of the lane; stages past their warning level are drawn solid
+ */
+function drawGainReductionHistory() {
+  if (!grHistoryCanvas) return;
+  const dpr = window.devicePixelRatio || 1;
+  const width = grHistoryCanvas.clientWidth;
+  const height = grHistoryCanvas.clientHeight;
+  grHistoryCanvas.width = Math.round(width * dpr);
+  grHistoryCanvas.height = Math.round(height * dpr);
+
+  const ctx = grHistoryCanvas.getContext('2d');
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+  if (!grHistory.compressor) return;
+
+  const slots = grHistory.compressor.length;
+  const slotWidth = width / slots;
+  [['compressor', GR_HISTORY.COMPRESSOR_COLOR], ['limiter', GR_HISTORY.LIMITER_COLOR]].forEach(([stage, rgb]) => {
+    const values = grHistory[stage];
+    const warnDb = meterState.GR_WARN_DB[stage];
+    for (let i = 0; i < slots; i++) {
+      const reduction = -values[i];
+      if (reduction < 0.05) continue;
+      const barHeight = Math.min(1, reduction / meterState.GR_RANGE_DB) * height;
+      ctx.fillStyle = `rgba(${rgb}, ${reduction > warnDb ? 0.95 : 0.5})`;
+      ctx.fillRect(i * slotWidth, 0, Math.max(1, slotWidth), barHeight);
+    }
+  });
+}
+
+if (grHistoryCanvas) {
+  new ResizeObserver(() => drawGainReductionHistory()).observe(grHistoryCanvas);
+}
+
+// ============================================================================
+// Spectrum Analyzer
+// ============================================================================
+
+const SPECTRUM = {
+  MIN_FREQ: 20,
+  MAX_FREQ: 20000,
+  MIN_DB: -90,            // Spectrum scale
+  MAX_DB: 0,
+  EQ_RANGE_DB: 15,        // EQ curve scale (± around the centre line)
+  PEAK_HOLD_TIME: 1.0,    // seconds
+  PEAK_FALL_RATE: 20,     // dB per second
+  GRID_FREQS: [50, 100, 200, 500, 1000, 2000, 5000, 10000],
+  STORAGE_KEY: 'spectrumTap'
+};
+
+const spectrumCanvas = document.getElementById('spectrumCanvas');
+const spectrumTapButtons = document.querySelectorAll('.spectrum-tap-btn');
+
+const spectrumState = {
+  tap: localStorage.getItem(SPECTRUM.STORAGE_KEY) === 'input' ? 'input' : 'output',
+  columnFreqs: null,     // Float32Array: frequency at each pixel column
+  fftData: null,
+  peaks: null,           // Peak hold per column (dB)
+  peakTimes: null,
+  lastDraw: 0
+};
+
+/**
+ * EQ and Polish filters whose combined response is drawn over the spectrum.
+ * Mid/side and left/right bands are drawn as separate curves.
+ */
+function getSpectrumFilters() {
+  return [
+    audioNodes.highpass, ...audioNodes.eq.filters.stereo, audioNodes.lowshelf, audioNodes.midPeak, audioNodes.highshelf
+  ].filter(Boolean);
+}
+
+function spectrumFreqToX(freq, width) {
+  return Math.log(freq / SPECTRUM.MIN_FREQ) / Math.log(SPECTRUM.MAX_FREQ / SPECTRUM.MIN_FREQ) * width;
+}
+
+function spectrumXToFreq(x, width) {
+  return SPECTRUM.MIN_FREQ * Math.pow(SPECTRUM.MAX_FREQ / SPECTRUM.MIN_FREQ, x / width);
+}
+
+// EQ curve scale: 0 dB in the middle, ±EQ_RANGE_DB at the edges
+function eqGainToY(db, height) {
+  const range = SPECTRUM.EQ_RANGE_DB;
+  return height / 2 - (Math.max(-range, Math.min(range, db)) / range) * (height / 2);
+}
+
+function eqYToGain(y, height) {
+  return ((height / 2 - y) / (height / 2)) * SPECTRUM.EQ_RANGE_DB;
+}
+
+/**
+ * Size the canvas to its element and lay out one log-spaced frequency per column
+ */
+function resizeSpectrum() {
+  const dpr = window.devicePixelRatio || 1;
+  const width = Math.max(1, Math.round(spectrumCanvas.clientWidth * dpr));
+  const height = Math.max(1, Math.round(spectrumCanvas.clientHeight * dpr));
+  spectrumCanvas.width = width;
+  spectrumCanvas.height = height;
+
+  spectrumState.columnFreqs = new Float32Array(width);
+  for (let x = 0; x < width; x++) {
+    spectrumState.columnFreqs[x] = spectrumXToFreq(x, width);
+  }
+  spectrumState.peaks = null;
+}
+
+/**
+ * Analyser bins reduced to one dB value per pixel column. Low frequencies are
+ * read from the nearest bin; where a column spans several bins, the loudest wins.
+ */
+function getSpectrumColumns(analyser) {
+  const binCount = analyser.frequencyBinCount;
+  if (!spectrumState.fftData || spectrumState.fftData.length !== binCount) {
+    spectrumState.fftData = new Float32Array(binCount);
+  }
+  analyser.getFloatFrequencyData(spectrumState.fftData);
+
+  const { columnFreqs, fftData } = spectrumState;
+  const binHz = audioNodes.context.sampleRate / analyser.fftSize;
+  const columns = new Float32Array(columnFreqs.length);
+  for (let x = 0; x < columnFreqs.length; x++) {
+    const start = Math.min(binCount - 1, Math.round(columnFreqs[x] / binHz));
+    const nextFreq = x + 1 < columnFreqs.length ? columnFreqs[x + 1] : SPECTRUM.MAX_FREQ;
+    const end = Math.min(binCount - 1, Math.max(start, Math.round(nextFreq / binHz) - 1));
+    let max = -Infinity;
+    for (let bin = start; bin <= end; bin++) {
+      if (fftData[bin] > max) max = fftData[bin];
+    }
+    columns[x] = max;
+  }
+  return columns;
+}
+
+function updateSpectrumPeaks(columns, time) {
+  const deltaTime = spectrumState.lastDraw ? Math.min(0.1, time - spectrumState.lastDraw) : 0;
+  if (!spectrumState.peaks || spectrumState.peaks.length !== columns.length) {
+    spectrumState.peaks = new Float32Array(columns.length).fill(-Infinity);
+    spectrumState.peakTimes = new Float64Array(columns.length);
+  }
+  const { peaks, peakTimes } = spectrumState;
+  for (let x = 0; x < columns.length; x++) {
+    if (columns[x] >= peaks[x]) {
+      peaks[x] = columns[x];
+      peakTimes[x] = time;
+    } else if (time > peakTimes[x] + SPECTRUM.PEAK_HOLD_TIME) {
+      peaks[x] = Math.max(columns[x], peaks[x] - SPECTRUM.PEAK_FALL_RATE * deltaTime);
+    }
+  }
+}
+
+/**
+ * Combined magnitude response (dB) of the EQ and Polish filters per column
+ */
+function getEQResponse(filters = getSpectrumFilters()) {
+  const { columnFreqs } = spectrumState;
+  const response = new Float32Array(columnFreqs.length);
+  const magnitude = new Float32Array(columnFreqs.length);
+  const phase = new Float32Array(columnFreqs.length);
+  for (const filter of filters) {
+    filter.getFrequencyResponse(columnFreqs, magnitude, phase);
+    for (let x = 0; x < columnFreqs.length; x++) {
+      response[x] += 20 * Math.log10(Math.max(1e-6, magnitude[x]));
+    }
+  }
+  return response;
+}
+
+function drawSpectrumLine(ctx, values, toY, height) {
+  ctx.beginPath();
+  ctx.moveTo(0, height);
+  for (let x = 0; x < values.length; x++) {
+    ctx.lineTo(x, toY(values[x]));
+  }
+  ctx.lineTo(values.length, height);
+}
+
+/**
+ * Redraw the spectrum (live while playing) and the EQ curve
+ */
+function drawSpectrum() {
+  if (!spectrumCanvas) return;
+  if (!spectrumState.columnFreqs) resizeSpectrum();
+
+  const ctx = spectrumCanvas.getContext('2d');
+  const width = spectrumCanvas.width;
+  const height = spectrumCanvas.height;
+  const { MIN_DB, MAX_DB } = SPECTRUM;
+  const spectrumY = (db) => ((MAX_DB - Math.max(MIN_DB, Math.min(MAX_DB, db))) / (MAX_DB - MIN_DB)) * height;
+  const eqY = (db) => eqGainToY(db, height);
+
+  ctx.fillStyle = '#0a0a0a';
+  ctx.fillRect(0, 0, width, height);
+
+  // Frequency grid
+  ctx.fillStyle = '#222';
+  for (const freq of SPECTRUM.GRID_FREQS) {
+    ctx.fillRect(Math.round(spectrumFreqToX(freq, width)), 0, 1, height);
+  }
+  ctx.fillStyle = '#333';
+  ctx.fillRect(0, Math.round(height / 2), width, 1);
+
+  const analyser = spectrumState.tap === 'input' ? audioNodes.inputAnalyser : audioNodes.analyser;
+  if (analyser && playerState.isPlaying) {
+    const time = performance.now() / 1000;
+    const columns = getSpectrumColumns(analyser);
+    updateSpectrumPeaks(columns, time);
+    spectrumState.lastDraw = time;
+
+    drawSpectrumLine(ctx, columns, spectrumY, height);
+    ctx.fillStyle = 'rgba(34, 197, 94, 0.35)';
+    ctx.fill();
+  }
+
+  if (spectrumState.peaks) {
+    drawSpectrumLine(ctx, spectrumState.peaks, spectrumY, height);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.45)';
+    ctx.lineWidth = 1;
+    ctx.stroke();
+  }
+
+  if (audioNodes.eq) {
+    const dpr = window.devicePixelRatio || 1;
+    drawEQCurve(ctx, getEQResponse(), eqY, '#fbbf24', 1.5 * dpr);
+
+    // One dashed curve per mid/side/left/right routing in use
+    ctx.setLineDash([4 * dpr, 3 * dpr]);
+    for (const [routing, color] of Object.entries(EQ_EDITOR.ROUTING_COLORS)) {
+      if (!eqBands.some(band => band.routing === routing)) continue;
+      drawEQCurve(ctx, getEQResponse(audioNodes.eq.filters[routing]), eqY, color, dpr);
+    }
+    ctx.setLineDash([]);
+  }
+
+  drawEQNodes(ctx, width, height);
+}
+
+function drawEQCurve(ctx, response, toY, color, lineWidth) {
+  ctx.beginPath();
+  for (let x = 0; x < response.length; x++) {
+    if (x === 0) ctx.moveTo(x, toY(response[x]));
+    else ctx.lineTo(x, toY(response[x]));
+  }
+  ctx.strokeStyle = color;
+  ctx.lineWidth = lineWidth;
+  ctx.stroke();
+}
+
+function setSpectrumTap(tap) {
+  spectrumState.tap = tap;
+  spectrumState.peaks = null;
+  localStorage.setItem(SPECTRUM.STORAGE_KEY, tap);
+  spectrumTapButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.tap === tap));
+  drawSpectrum();
+}
+
+spectrumTapButtons.forEach(btn => {
+  btn.addEventListener('click', () => setSpectrumTap(btn.dataset.tap));
+});
+
+if (spectrumCanvas) {
+  new ResizeObserver(() => {
+    resizeSpectrum();
+    drawSpectrum();
+  }).observe(spectrumCanvas);
+  setSpectrumTap(spectrumState.tap);
+}
+
+// ============================================================================
+// Parametric EQ Editor (drag points on the spectrum)
+// ============================================================================
+
+const EQ_EDITOR = {
+  NODE_RADIUS: 6,         // CSS px
+  HIT_RADIUS: 10,
+  Q_WHEEL_STEP: 1.1,      // Q multiplier per wheel notch
+  COLORS: ['#f87171', '#fbbf24', '#34d399', '#60a5fa', '#a78bfa', '#f472b6', '#2dd4bf', '#fb923c'],
+  // Curve colors for bands that don't filter both channels
+  ROUTING_COLORS: { mid: '#38bdf8', side: '#e879f9', left: '#a3e635', right: '#fb7185' }
+};
+
+const eqBandTabs = document.getElementById('eqBandTabs');
+const eqBandType = document.getElementById('eqBandType');
+const eqBandRouting = document.getElementById('eqBandRouting');
+const eqBandFreq = document.getElementById('eqBandFreq');
+const eqBandGain = document.getElementById('eqBandGain');
+const eqBandQ = document.getElementById('eqBandQ');
+const eqAddBandBtn = document.getElementById('eqAddBand');
+const eqRemoveBandBtn = document.getElementById('eqRemoveBand');
+
+let eqDrag = null;  // { index } while a point is being dragged
+
+function getEQBandType(band) {
+  return AUDIO_CONSTANTS.PARAMETRIC_EQ.TYPES[band.type];
+}
+
+/**
+ * Canvas position (device px) of a band's point. Bands without gain sit on the 0 dB line.
+ */
+function getEQNodePosition(band, width, height) {
+  return {
+    x: spectrumFreqToX(band.frequency, width),
+    y: eqGainToY(getEQBandType(band).hasGain ? band.gain : 0, height)
+  };
+}
+
+function drawEQNodes(ctx, width, height) {
+  const dpr = window.devicePixelRatio || 1;
+  ctx.font = `${9 * dpr}px sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+
+  eqBands.forEach((band, i) => {
+    const { x, y } = getEQNodePosition(band, width, height);
+    ctx.beginPath();
+    ctx.arc(x, y, EQ_EDITOR.NODE_RADIUS * dpr, 0, Math.PI * 2);
+    ctx.fillStyle = EQ_EDITOR.COLORS[i % EQ_EDITOR.COLORS.length];
+    ctx.fill();
+    if (i === selectedEQBand) {
+      ctx.strokeStyle = '#ffffff';
+      ctx.lineWidth = 1.5 * dpr;
+      ctx.stroke();
+    }
+    ctx.fillStyle = '#0a0a0a';
+    ctx.fillText(String(i + 1), x, y + 0.5 * dpr);
+    // Routing initial (M/S/L/R) under routed bands
+    if (band.routing !== 'stereo') {
+      ctx.fillStyle = EQ_EDITOR.ROUTING_COLORS[band.routing];
+      ctx.fillText(band.routing[0].toUpperCase(), x, y + (EQ_EDITOR.NODE_RADIUS + 6) * dpr);
+    }
+  });
+}
+
+/**
+ * Mouse position on the spectrum canvas in device px
+ */
+function getEQEditorPoint(event) {
+  const dpr = window.devicePixelRatio || 1;
+  const rect = spectrumCanvas.getBoundingClientRect();
+  return { x: (event.clientX - rect.left) * dpr, y: (event.clientY - rect.top) * dpr };
+}
+
+/**
+ * Index of the band whose point is under the mouse, or -1
+ */
+function findEQNode(point) {
+  const hitRadius = EQ_EDITOR.HIT_RADIUS * (window.devicePixelRatio || 1);
+  const { width, height } = spectrumCanvas;
+  // Last drawn is on top, so search backwards
+  for (let i = eqBands.length - 1; i >= 0; i--) {
+    const { x, y } = getEQNodePosition(eqBands[i], width, height);
+    if (Math.hypot(point.x - x, point.y - y) <= hitRadius) return i;
+  }
+  return -1;
+}
+
+/**
+ * Apply band edits: validate, update the filters, controls and curve
+ */
+function onEQBandsChanged() {
+  eqBands = eqBands.map(validateEQBand).filter(Boolean);
+  selectedEQBand = Math.max(0, Math.min(selectedEQBand, eqBands.length - 1));
+  updateEQ();
+  updateEQBandControls();
+  drawSpectrum();
+}
+
+function setEQBands(bands) {
+  eqBands = bands;
+  selectedEQBand = 0;
+  onEQBandsChanged();
+}
+
+function updateEQBand(index, changes) {
+  eqBands[index] = { ...eqBands[index], ...changes };
+  clearActivePreset();
+  onEQBandsChanged();
+}
+
+function addEQBand(frequency = 1000, gain = 0) {
+  if (eqBands.length >= AUDIO_CONSTANTS.PARAMETRIC_EQ.MAX_BANDS) return;
+  eqBands.push({ type: 'bell', frequency, gain, q: getEQBandType({ type: 'bell' }).defaultQ, routing: 'stereo' });
+  selectedEQBand = eqBands.length - 1;
+  clearActivePreset();
+  onEQBandsChanged();
+}
+
+function removeEQBand(index) {
+  if (index < 0 || index >= eqBands.length) return;
+  eqBands.splice(index, 1);
+  clearActivePreset();
+  onEQBandsChanged();
+}
+
+function populateEQBandTypeSelect() {
+  for (const [id, type] of Object.entries(AUDIO_CONSTANTS.PARAMETRIC_EQ.TYPES)) {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = type.name;
+    eqBandType.appendChild(option);
+  }
+  for (const [id, name] of Object.entries(AUDIO_CONSTANTS.PARAMETRIC_EQ.ROUTINGS)) {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = name;
+    eqBandRouting.appendChild(option);
+  }
+}
+
+/**
+ * Sync the band tabs and inputs with the selected band
+ */
+function updateEQBandControls() {
+  if (!eqBandTabs) return;
+
+  eqBandTabs.textContent = '';
+  eqBands.forEach((band, i) => {
+    const tab = document.createElement('button');
+    tab.className = 'eq-band-tab';
+    tab.textContent = String(i + 1);
+    tab.title = `${getEQBandType(band).name} ${formatFrequency(band.frequency)}`
+      + (band.routing !== 'stereo' ? ` (${AUDIO_CONSTANTS.PARAMETRIC_EQ.ROUTINGS[band.routing]})` : '');
+    tab.style.borderColor = EQ_EDITOR.COLORS[i % EQ_EDITOR.COLORS.length];
+    tab.classList.toggle('active', i === selectedEQBand);
+    tab.addEventListener('click', () => {
+      selectedEQBand = i;
+      updateEQBandControls();
+      drawSpectrum();
+    });
+    eqBandTabs.appendChild(tab);
+  });
+
+  const band = eqBands[selectedEQBand];
+  const type = band ? getEQBandType(band) : null;
+  [eqBandType, eqBandRouting, eqBandFreq, eqBandGain, eqBandQ, eqRemoveBandBtn].forEach(el => { el.disabled = !band; });
+  eqAddBandBtn.disabled = eqBands.length >= AUDIO_CONSTANTS.PARAMETRIC_EQ.MAX_BANDS;
+  if (!band) return;
+
+  eqBandType.value = band.type;
+  eqBandRouting.value = band.routing;
+  eqBandFreq.value = Math.round(band.frequency);
+  eqBandGain.value = band.gain.toFixed(1);
+  eqBandGain.disabled = !type.hasGain;
+  eqBandQ.value = band.q.toFixed(2);
+  eqBandQ.disabled = !type.hasQ;
+}
+
+function formatFrequency(freq) {
+  return freq >= 1000 ? `${(freq / 1000).toFixed(freq >= 10000 ? 1 : 2)}kHz` : `${Math.round(freq)}Hz`;
+}
+
+function initEQEditor() {
+  if (!spectrumCanvas || !eqBandTabs) return;
+  populateEQBandTypeSelect();
+
+  spectrumCanvas.addEventListener('mousedown', (event) => {
+    const index = findEQNode(getEQEditorPoint(event));
+    if (index < 0) return;
+    event.preventDefault();
+    selectedEQBand = index;
+    eqDrag = { index };
+    updateEQBandControls();
+    drawSpectrum();
+  });
+
+  window.addEventListener('mousemove', (event) => {
+    if (!eqDrag) {
+      // Hover feedback only while over the canvas
+      if (event.target === spectrumCanvas) {
+        spectrumCanvas.style.cursor = findEQNode(getEQEditorPoint(event)) >= 0 ? 'grab' : 'crosshair';
+      }
+      return;
+    }
+    const { x, y } = getEQEditorPoint(event);
+    const band = eqBands[eqDrag.index];
+    const changes = { frequency: Math.round(spectrumXToFreq(x, spectrumCanvas.width)) };
+    if (getEQBandType(band).hasGain) {
+      changes.gain = Math.round(eqYToGain(y, spectrumCanvas.height) * 10) / 10;
+    }
+    updateEQBand(eqDrag.index, changes);
+  });
+
+  window.addEventListener('mouseup', () => {
+    eqDrag = null;
+  });
+
+  // Scroll over a point to change its Q
+  spectrumCanvas.addEventListener('wheel', (event) => {
+    const index = findEQNode(getEQEditorPoint(event));
+    if (index < 0 || !getEQBandType(eqBands[index]).hasQ) return;
+    event.preventDefault();
+    const step = event.deltaY < 0 ? EQ_EDITOR.Q_WHEEL_STEP : 1 / EQ_EDITOR.Q_WHEEL_STEP;
+    selectedEQBand = index;
+    updateEQBand(index, { q: eqBands[index].q * step });
+  }, { passive: false });
+
+  // Double-click: empty space adds a bell there, a point removes its band
+  spectrumCanvas.addEventListener('dblclick', (event) => {
+    const point = getEQEditorPoint(event);
+    const index = findEQNode(point);
+    if (index >= 0) {
+      removeEQBand(index);
+    } else {
+      const gain = Math.round(eqYToGain(point.y, spectrumCanvas.height) * 10) / 10;
+      addEQBand(Math.round(spectrumXToFreq(point.x, spectrumCanvas.width)), gain);
+    }
+  });
+
+  eqBandType.addEventListener('change', () => {
+    const type = AUDIO_CONSTANTS.PARAMETRIC_EQ.TYPES[eqBandType.value];
+    updateEQBand(selectedEQBand, { type: eqBandType.value, q: type.defaultQ });
+  });
+  eqBandRouting.addEventListener('change', () => updateEQBand(selectedEQBand, { routing: eqBandRouting.value }));
+  eqBandFreq.addEventListener('change', () => updateEQBand(selectedEQBand, { frequency: eqBandFreq.value }));
+  eqBandGain.addEventListener('change', () => updateEQBand(selectedEQBand, { gain: eqBandGain.value }));
+  eqBandQ.addEventListener('change', () => updateEQBand(selectedEQBand, { q: eqBandQ.value }));
+  eqAddBandBtn.addEventListener('click', () => addEQBand());
+  eqRemoveBandBtn.addEventListener('click', () => removeEQBand(selectedEQBand));
+
+  updateEQBandControls();
+}
+
+initEQEditor();
+
+// ============================================================================
+// Multiband Compressor
+// ============================================================================
+
+const MULTIBAND_UI = {
+  BAND_NAMES: { 3: ['Low', 'Mid', 'High'], 4: ['Low', 'Low Mid', 'High Mid', 'High'] },
+  // `limit` names the MIN_/MAX_ pair in AUDIO_CONSTANTS.MULTIBAND
+  PARAMS: [
+    { key: 'threshold', label: 'Threshold', unit: 'dB', limit: 'THRESHOLD', step: 0.5 },
+    { key: 'ratio', label: 'Ratio', unit: ':1', limit: 'RATIO', step: 0.1 },
+    { key: 'attack', label: 'Attack', unit: 'ms', limit: 'ATTACK_MS', step: 1 },
+    { key: 'release', label: 'Release', unit: 'ms', limit: 'RELEASE_MS', step: 10 },
+    { key: 'makeup', label: 'Makeup', unit: 'dB', limit: 'MAKEUP', step: 0.5 }
+  ]
+};
+
+const multibandEnabledToggle = document.getElementById('multibandEnabled');
+const multibandBandCountSelect = document.getElementById('multibandBandCount');
+const multibandCrossoversEl = document.getElementById('multibandCrossovers');
+const multibandBandsEl = document.getElementById('multibandBands');
+const multibandCrossoverInputs = [];
+const multibandBandEls = [];  // { root, name, range, solo, bypass, inputs } per band
+
+function setMultibandSettings(changes) {
+  multibandSettings = validateMultiband({ ...multibandSettings, ...changes });
+  if (multibandSolo >= multibandSettings.bandCount) multibandSolo = -1;
+  updateMultiband();
+  updateMultibandControls();
+}
+
+function updateMultibandBand(index, changes) {
+  setMultibandSettings({
+    bands: multibandSettings.bands.map((band, i) => (i === index ? { ...band, ...changes } : band))
+  });
+}
+
+function toggleMultibandSolo(index) {
+  multibandSolo = multibandSolo === index ? -1 : index;
+  updateMultiband();
+  updateMultibandControls();
+}
+
+function formatMultibandRange(crossovers, index) {
+  if (index === 0) return `< ${formatFrequency(crossovers[0])}`;
+  if (index === crossovers.length) return `> ${formatFrequency(crossovers[index - 1])}`;
+  return `${formatFrequency(crossovers[index - 1])} – ${formatFrequency(crossovers[index])}`;
+}
+
+/**
+ * Sync the multiband controls with multibandSettings
+ */
+function updateMultibandControls() {
+  if (!multibandBandsEl) return;
+  const { enabled, bandCount, crossovers, bands } = multibandSettings;
+
+  multibandEnabledToggle.checked = enabled;
+  multibandBandCountSelect.value = String(bandCount);
+  multibandBandsEl.classList.toggle('inactive', !enabled);
+
+  multibandCrossoverInputs.forEach((input, i) => {
+    input.parentElement.hidden = i >= crossovers.length;
+    if (i < crossovers.length) input.value = Math.round(crossovers[i]);
+  });
+
+  multibandBandEls.forEach((el, i) => {
+    el.root.hidden = i >= bandCount;
+    if (i >= bandCount) return;
+    const band = bands[i];
+    el.name.textContent = MULTIBAND_UI.BAND_NAMES[bandCount][i];
+    el.range.textContent = formatMultibandRange(crossovers, i);
+    el.solo.classList.toggle('active', multibandSolo === i);
+    el.bypass.classList.toggle('active', band.bypass);
+    for (const [key, input] of Object.entries(el.inputs)) {
+      input.value = band[key];
+    }
+  });
+}
+
+function createMultibandInput(min, max, step) {
+  const input = document.createElement('input');
+  input.type = 'number';
+  input.min = min;
+  input.max = max;
+  input.step = step;
+  return input;
+}
+
+function createMultibandBand(index) {
+  const root = document.createElement('div');
+  root.className = 'multiband-band';
+
+  const header = document.createElement('div');
+  header.className = 'multiband-band-header';
+  const name = document.createElement('span');
+  name.className = 'multiband-band-name';
+  const range = document.createElement('span');
+  range.className = 'multiband-band-range';
+  const solo = document.createElement('button');
+  solo.className = 'multiband-btn';
+  solo.textContent = 'S';
+  solo.title = 'Solo this band (preview only, export always includes every band)';
+  solo.addEventListener('click', () => toggleMultibandSolo(index));
+  const bypass = document.createElement('button');
+  bypass.className = 'multiband-btn';
+  bypass.textContent = 'B';
+  bypass.title = 'Bypass: pass this band through uncompressed';
+  bypass.addEventListener('click', () => {
+    updateMultibandBand(index, { bypass: !multibandSettings.bands[index].bypass });
+  });
+  header.append(name, range, solo, bypass);
+
+  // Gain reduction meter, drawn with the main compressor and limiter meters
+  const grRow = document.createElement('div');
+  grRow.className = 'gr-row';
+  const canvas = document.createElement('canvas');
+  canvas.width = 600;
+  canvas.height = 6;
+  const display = document.createElement('span');
+  display.className = 'gr-value';
+  display.textContent = '0.0 dB';
+  grRow.append(canvas, display);
+  gainReductionMeters[MULTIBAND_GR_STAGES[index]] = { canvas, display };
+
+  root.append(header, grRow);
+
+  const inputs = {};
+  for (const { key, label, unit, limit, step } of MULTIBAND_UI.PARAMS) {
+    const row = document.createElement('label');
+    const input = createMultibandInput(
+      AUDIO_CONSTANTS.MULTIBAND[`MIN_${limit}`], AUDIO_CONSTANTS.MULTIBAND[`MAX_${limit}`], step
+    );
+    input.addEventListener('change', () => updateMultibandBand(index, { [key]: input.value }));
+    row.append(label, input, unit);
+    root.appendChild(row);
+    inputs[key] = input;
+  }
+
+  multibandBandsEl.appendChild(root);
+  multibandBandEls.push({ root, name, range, solo, bypass, inputs });
+}
+
+function initMultiband() {
+  if (!multibandBandsEl) return;
+  const { MAX_BANDS, MIN_CROSSOVER, MAX_CROSSOVER } = AUDIO_CONSTANTS.MULTIBAND;
+
+  for (let i = 0; i < MAX_BANDS - 1; i++) {
+    const label = document.createElement('label');
+    const input = createMultibandInput(MIN_CROSSOVER, MAX_CROSSOVER, 1);
+    input.addEventListener('change', () => {
+      const crossovers = [...multibandSettings.crossovers];
+      crossovers[i] = input.value;
+      setMultibandSettings({ crossovers });
+    });
+    label.append(input, 'Hz');
+    multibandCrossoversEl.appendChild(label);
+    multibandCrossoverInputs.push(input);
+  }
+
+  for (let i = 0; i < MAX_BANDS; i++) {
+    createMultibandBand(i);
+  }
+
+  multibandEnabledToggle.addEventListener('change', () => {
+    setMultibandSettings({ enabled: multibandEnabledToggle.checked });
+  });
+  // A new band count starts from that count's default crossovers
+  multibandBandCountSelect.addEventListener('change', () => {
+    setMultibandSettings({ bandCount: multibandBandCountSelect.value, crossovers: null });
+  });
+
+  updateMultibandControls();
+}
+
+initMultiband();
+
+// ============================================================================
+// WaveSurfer Waveform
+// ============================================================================
+
+function initWaveSurfer(audioBuffer, originalBlob) {
+  // Cleanup previous instance
+  if (wavesurfer) {
+    wavesurfer.destroy();
+    wavesurfer = null;
+  }
+
+  // Revoke previous blob URL to prevent memory leak
+  if (currentBlobUrl) {
+    URL.revokeObjectURL(currentBlobUrl);
+    currentBlobUrl = null;
+  }
+
+  try {
+    // Create gradient
+    const ctx = document.createElement('canvas').getContext('2d');
+    const waveGradient = ctx.createLinearGradient(0, 0, 0, 48);
+    waveGradient.addColorStop(0, 'rgba(188, 177, 231, 0.8)');
+    waveGradient.addColorStop(0.5, 'rgba(154, 143, 209, 0.6)');
+    waveGradient.addColorStop(1, 'rgba(100, 90, 160, 0.3)');
+
+    const progressGradient = ctx.createLinearGradient(0, 0, 0, 48);
+    progressGradient.addColorStop(0, '#BCB1E7');
+    progressGradient.addColorStop(0.5, '#9A8FD1');
+    progressGradient.addColorStop(1, '#7A6FB1');
+
+    // Extract peaks for immediate display
+    const peaks = extractPeaks(audioBuffer);
+
+    // Create blob URL for WaveSurfer (tracked for cleanup)
+    currentBlobUrl = URL.createObjectURL(originalBlob);
+
+    wavesurfer = WaveSurfer.create({
       container: '#waveform',
       waveColor: waveGradient,
       progressColor: progressGradient,
@@ -1257,6 +2906,7 @@ function initWaveSurfer(audioBuffer, originalBlob) {
 
     // Custom hover handler (uses our known duration, not WaveSurfer's state)
     setupWaveformHover(audioBuffer.duration);
+    setupLoudnessOverlay(audioBuffer.duration);
 
     // Mute wavesurfer - we use our own Web Audio chain
     wavesurfer.setVolume(0);
@@ -1379,10 +3029,12 @@ function setupWaveformHover(duration) {
     const relX = Math.max(0, Math.min(1, x / rect.width));
     const time = relX * duration;
 
-    // Format time
+    // Format time, plus the short-term loudness there when the curve is shown
     const minutes = Math.floor(time / 60);
     const seconds = Math.floor(time % 60);
-    label.textContent = `${minutes}:${seconds.toString().padStart(2, '0')}`;
+    const shortTerm = getShortTermAt(time);
+    label.textContent = `${minutes}:${seconds.toString().padStart(2, '0')}` +
+      (isFinite(shortTerm) ? ` • ${shortTerm.toFixed(1)} LUFS` : '');
 
     // Position elements
     line.style.left = `${x}px`;
@@ -1411,35 +3063,202 @@ function setupWaveformHover(duration) {
   hoverListeners = { move: moveHandler, leave: leaveHandler };
 }
 
-function audioBufferToBlob(buffer) {
-  const numChannels = buffer.numberOfChannels;
-  const sampleRate = buffer.sampleRate;
-  const length = buffer.length;
-  const bytesPerSample = 2; // 16-bit
-  const blockAlign = numChannels * bytesPerSample;
-  const dataSize = length * blockAlign;
+// ============================================================================
+// Loudness Overlay (short-term LUFS / true peak over time)
+// ============================================================================
 
-  const arrayBuffer = new ArrayBuffer(44 + dataSize);
-  const view = new DataView(arrayBuffer);
+const LOUDNESS_CURVE = {
+  MIN_DB: -40,            // Bottom of the overlay scale (LUFS / dBTP)
+  MAX_DB: 0,
+  SHORT_TERM_COLOR: '#fbbf24',
+  TRUE_PEAK_COLOR: '#ef4444',
+  TARGET_COLOR: 'rgba(255, 255, 255, 0.25)',
+  CLIP_COLOR: 'rgba(239, 68, 68, 0.55)',
+  OVER_COLOR: '#f97316',
+  STORAGE_KEY: 'loudnessCurves'
+};
 
-  // WAV header
-  const writeString = (offset, str) => {
-    for (let i = 0; i < str.length; i++) {
-      view.setUint8(offset + i, str.charCodeAt(i));
-    }
-  };
+// Which curves are drawn (persisted)
+const curveState = { shortTerm: true, truePeak: false };
+try {
+  Object.assign(curveState, JSON.parse(localStorage.getItem(LOUDNESS_CURVE.STORAGE_KEY) || '{}'));
+} catch (error) {
+  console.warn('[Overlay] Ignoring unreadable curve settings:', error);
+}
 
-  writeString(0, 'RIFF');
-  view.setUint32(4, 36 + dataSize, true);
-  writeString(8, 'WAVE');
-  writeString(12, 'fmt ');
-  view.setUint32(16, 16, true);
-  view.setUint16(20, 1, true);
-  view.setUint16(22, numChannels, true);
-  view.setUint32(24, sampleRate, true);
-  view.setUint32(28, sampleRate * blockAlign, true);
-  view.setUint16(32, blockAlign, true);
-  view.setUint16(34, 16, true);
+let loudnessOverlay = null;  // { canvas, toggles, resizeObserver, duration }
+
+function setupLoudnessOverlay(duration) {
+  const container = document.querySelector('#waveform');
+  if (!container) return;
+
+  if (loudnessOverlay) {
+    loudnessOverlay.resizeObserver.disconnect();
+    loudnessOverlay.canvas.remove();
+    loudnessOverlay.toggles.remove();
+  }
+
+  const canvas = document.createElement('canvas');
+  canvas.className = 'loudness-overlay';
+  container.style.position = 'relative';
+  container.appendChild(canvas);
+
+  const toggles = document.createElement('div');
+  toggles.className = 'curve-toggles';
+  [['shortTerm', 'LUFS', 'Short-term loudness (3s) over time. Dashed: source, solid: exported master.'],
+   ['truePeak', 'TP', 'True peak over time. Dashed: source, solid: exported master.']].forEach(([key, text, tip]) => {
+    const btn = document.createElement('button');
+    btn.textContent = text;
+    btn.title = tip;
+    btn.classList.add(key === 'shortTerm' ? 'curve-lufs' : 'curve-tp');
+    btn.classList.toggle('active', curveState[key]);
+    btn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      curveState[key] = !curveState[key];
+      btn.classList.toggle('active', curveState[key]);
+      localStorage.setItem(LOUDNESS_CURVE.STORAGE_KEY, JSON.stringify(curveState));
+      drawLoudnessOverlay();
+    });
+    toggles.appendChild(btn);
+  });
+  container.appendChild(toggles);
+
+  const resizeObserver = new ResizeObserver(() => drawLoudnessOverlay());
+  resizeObserver.observe(container);
+
+  loudnessOverlay = { canvas, toggles, resizeObserver, duration };
+  drawLoudnessOverlay();
+}
+
+/**
+ * Short-term loudness at a point in time: the exported master when there is one,
+ * otherwise the source. -Infinity when unavailable or the curve is hidden.
+ */
+function getShortTermAt(time) {
+  const curve = (fileState.masterLoudness || fileState.sourceLoudness)?.curve;
+  if (!curve || !curveState.shortTerm || curve.shortTerm.length === 0) return -Infinity;
+  const index = Math.round(time / curve.hopSec - curve.shortTermOffset);
+  return curve.shortTerm[Math.max(0, Math.min(curve.shortTerm.length - 1, index))];
+}
+
+function drawCurve(ctx, values, offsetHops, hopSec, color, dashed, width, height) {
+  const { MIN_DB, MAX_DB } = LOUDNESS_CURVE;
+  const duration = loudnessOverlay.duration;
+
+  ctx.strokeStyle = color;
+  ctx.lineWidth = dashed ? 1 : 1.5;
+  ctx.globalAlpha = dashed ? 0.6 : 0.95;
+  ctx.setLineDash(dashed ? [3, 3] : []);
+  ctx.beginPath();
+
+  // Silent stretches (below the scale) break the line instead of dropping to the floor
+  let penDown = false;
+  for (let i = 0; i < values.length; i++) {
+    if (!(values[i] > MIN_DB)) {
+      penDown = false;
+      continue;
+    }
+    const x = ((i + offsetHops) * hopSec / duration) * width;
+    const y = ((MAX_DB - Math.min(MAX_DB, values[i])) / (MAX_DB - MIN_DB)) * height;
+    if (penDown) {
+      ctx.lineTo(x, y);
+    } else {
+      ctx.moveTo(x, y);
+      penDown = true;
+    }
+  }
+  ctx.stroke();
+}
+
+function drawLoudnessOverlay() {
+  if (!loudnessOverlay) return;
+  const { canvas } = loudnessOverlay;
+  const dpr = window.devicePixelRatio || 1;
+  const width = canvas.clientWidth;
+  const height = canvas.clientHeight;
+  canvas.width = Math.round(width * dpr);
+  canvas.height = Math.round(height * dpr);
+
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  ctx.clearRect(0, 0, width, height);
+  if (!loudnessOverlay.duration) return;
+
+  const { MIN_DB, MAX_DB } = LOUDNESS_CURVE;
+
+  // Target loudness reference line
+  if (curveState.shortTerm && normalizeLoudness.checked) {
+    const y = ((MAX_DB - targetLufsDb) / (MAX_DB - MIN_DB)) * height;
+    ctx.strokeStyle = LOUDNESS_CURVE.TARGET_COLOR;
+    ctx.lineWidth = 1;
+    ctx.setLineDash([1, 3]);
+    ctx.beginPath();
+    ctx.moveTo(0, y);
+    ctx.lineTo(width, y);
+    ctx.stroke();
+  }
+
+  [[fileState.sourceLoudness, true], [fileState.masterLoudness, false]].forEach(([stats, dashed]) => {
+    const curve = stats?.curve;
+    if (!curve) return;
+    if (curveState.truePeak) {
+      drawCurve(ctx, curve.truePeak, 0.5, curve.hopSec, LOUDNESS_CURVE.TRUE_PEAK_COLOR, dashed, width, height);
+    }
+    if (curveState.shortTerm) {
+      drawCurve(ctx, curve.shortTerm, curve.shortTermOffset, curve.hopSec, LOUDNESS_CURVE.SHORT_TERM_COLOR, dashed, width, height);
+    }
+  });
+  ctx.globalAlpha = 1;
+  ctx.setLineDash([]);
+
+  // Source clipping markers: inter-sample overs as ticks at the top, clipped
+  // runs as full-height lines. One marker per pixel column is enough.
+  const report = fileState.clipReport;
+  if (report) {
+    const drawMarkers = (events, color, markerHeight) => {
+      ctx.fillStyle = color;
+      let lastX = -1;
+      for (const { time } of events) {
+        const x = Math.floor((time / loudnessOverlay.duration) * width);
+        if (x === lastX) continue;
+        ctx.fillRect(x, 0, 1, markerHeight);
+        lastX = x;
+      }
+    };
+    drawMarkers(report.overs, LOUDNESS_CURVE.OVER_COLOR, 6);
+    drawMarkers(report.clips, LOUDNESS_CURVE.CLIP_COLOR, height);
+  }
+}
+
+function audioBufferToBlob(buffer) {
+  const numChannels = buffer.numberOfChannels;
+  const sampleRate = buffer.sampleRate;
+  const length = buffer.length;
+  const bytesPerSample = 2; // 16-bit
+  const blockAlign = numChannels * bytesPerSample;
+  const dataSize = length * blockAlign;
+
+  const arrayBuffer = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(arrayBuffer);
+
+  // WAV header
+  const writeString = (offset, str) => {
+    for (let i = 0; i < str.length; i++) {
+      view.setUint8(offset + i, str.charCodeAt(i));
+    }
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, numChannels, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, 16, true);
   writeString(36, 'data');
   view.setUint32(40, dataSize, true);
 
@@ -1471,34 +3290,11 @@ function updateWaveSurferProgress(time) {
 // EQ Presets
 // ============================================================================
 
-const eqPresets = {
-  flat: { low: 0, lowMid: 0, mid: 0, highMid: 0, high: 0 },
-  vocal: { low: -2, lowMid: -1, mid: 2, highMid: 3, high: 1 },
-  bass: { low: 6, lowMid: 3, mid: 0, highMid: -1, high: -2 },
-  bright: { low: -1, lowMid: 0, mid: 1, highMid: 3, high: 5 },
-  warm: { low: 3, lowMid: 2, mid: 0, highMid: -2, high: -3 },
-  aifix: { low: 1, lowMid: -2, mid: 1, highMid: -1, high: 2 }
-};
-
 document.querySelectorAll('.preset-btn').forEach(btn => {
   btn.addEventListener('click', () => {
-    const preset = eqPresets[btn.dataset.preset];
+    const preset = EQ_PRESETS[btn.dataset.preset];
     if (preset) {
-      // Update eqValues state
-      eqValues.low = preset.low;
-      eqValues.lowMid = preset.lowMid;
-      eqValues.mid = preset.mid;
-      eqValues.highMid = preset.highMid;
-      eqValues.high = preset.high;
-
-      // Update fader displays
-      if (faders.eqLow) faders.eqLow.setValue(preset.low);
-      if (faders.eqLowMid) faders.eqLowMid.setValue(preset.lowMid);
-      if (faders.eqMid) faders.eqMid.setValue(preset.mid);
-      if (faders.eqHighMid) faders.eqHighMid.setValue(preset.highMid);
-      if (faders.eqHigh) faders.eqHigh.setValue(preset.high);
-
-      updateEQ();
+      setEQBands(eqPresetToBands(preset));
 
       document.querySelectorAll('.preset-btn').forEach(b => b.classList.remove('active'));
       btn.classList.add('active');
@@ -1506,8 +3302,6 @@ document.querySelectorAll('.preset-btn').forEach(btn => {
   });
 });
 
-// EQ fader event listeners are set up in initFaders()
-
 // ============================================================================
 // Audio File Loading
 // ============================================================================
@@ -1607,8 +3401,18 @@ async function loadAudioFile(filePath) {
 
     showLoadingModal('Analyzing audio levels...', 50);
 
+    // Measure source loudness and true peak (reused for normalization)
+    // Mono files play and export on both channels, so measure them as dual mono
+    const sourceTruePeak = scanTruePeak(decodedBuffer);
+    fileState.sourceLoudness = measureLoudness(decodedBuffer, { truePeak: sourceTruePeak, dualMono: true });
+    fileState.masterLoudness = null;
+    fileState.clipReport = detectClipping(decodedBuffer, { truePeak: sourceTruePeak });
+    console.log('[Clipping] Source:', fileState.clipReport.clips.length, 'clipped runs,',
+      fileState.clipReport.overs.length, 'inter-sample overs');
+    console.log('[TruePeak] Source:', fileState.sourceLoudness.truePeakDb.toFixed(2), 'dBTP');
+
     // Normalize to target LUFS using pure JavaScript
-    const normalizedBuffer = normalizeToLUFS(decodedBuffer, targetLufsDb);
+    const normalizedBuffer = normalizeToLUFS(decodedBuffer, targetLufsDb, fileState.sourceLoudness.lufs);
 
     showLoadingModal('Applying normalization...', 70);
 
@@ -1617,13 +3421,14 @@ async function loadAudioFile(filePath) {
 
     showLoadingModal('Preparing audio...', 85);
 
-    // Store as the main buffer (normalized)
-    audioNodes.buffer = normalizedBuffer;
+    // Store as the main buffer (normalized unless normalization is switched off)
+    audioNodes.buffer = normalizeLoudness.checked ? normalizedBuffer : decodedBuffer;
     fileState.normalizedBuffer = normalizedBuffer;
+    fileState.normalizedTargetLufs = targetLufsDb;
 
     showLoadingModal('Ready!', 100);
 
-    createAudioChain();
+    await createAudioChain();
 
     // Update duration display
     const duration = audioNodes.buffer.duration;
@@ -1632,6 +3437,7 @@ async function loadAudioFile(filePath) {
 
     // Initialize waveform display with original file blob
     initWaveSurfer(audioNodes.buffer, originalBlob);
+    resetGainReductionHistory(duration);
 
     // Resize window to accommodate player controls
     if (window.electronAPI?.resizeWindow) {
@@ -1725,11 +3531,71 @@ function stopAudio() {
     } catch (e) {}
     audioNodes.source = null;
   }
+  releaseSourceFadeIn();
   playerState.isPlaying = false;
   updatePlayPauseIcon(false);
   clearInterval(playerState.seekUpdateInterval);
 }
 
+/**
+ * Replace the playing buffer without interrupting playback: the new source
+ * starts at the same position and crossfades in over BUFFER_SWAP_FADE_SEC
+ */
+const BUFFER_SWAP_FADE_SEC = 0.03;
+
+/**
+ * Disconnect the fade-in left by the last swap once its source is gone
+ */
+function releaseSourceFadeIn() {
+  if (audioNodes.sourceFadeIn) {
+    audioNodes.sourceFadeIn.disconnect();
+    audioNodes.sourceFadeIn = null;
+  }
+}
+
+function swapPlaybackBuffer(buffer) {
+  audioNodes.buffer = buffer;
+  updatePlatformSimulation();
+  if (!playerState.isPlaying || !audioNodes.source || playerState.isSeeking) return;
+
+  const ctx = audioNodes.context;
+  const oldSource = audioNodes.source;
+  const swapTime = ctx.currentTime + 0.02;  // Scheduling margin
+  const offset = swapTime - playerState.startTime;
+  if (offset >= buffer.duration) return;
+
+  // Route the old source through a fade-out
+  const fadeOut = ctx.createGain();
+  oldSource.onended = () => fadeOut.disconnect();
+  oldSource.disconnect();
+  oldSource.connect(fadeOut).connect(audioNodes.inputGain);
+  releaseSourceFadeIn();
+  fadeOut.gain.setValueAtTime(1, swapTime);
+  fadeOut.gain.linearRampToValueAtTime(0, swapTime + BUFFER_SWAP_FADE_SEC);
+  oldSource.stop(swapTime + BUFFER_SWAP_FADE_SEC);
+
+  const fadeIn = ctx.createGain();
+  fadeIn.gain.setValueAtTime(0, swapTime);
+  fadeIn.gain.linearRampToValueAtTime(1, swapTime + BUFFER_SWAP_FADE_SEC);
+
+  audioNodes.source = ctx.createBufferSource();
+  audioNodes.source.buffer = buffer;
+  audioNodes.source.connect(fadeIn);
+  connectAudioChain(fadeIn);
+  audioNodes.sourceFadeIn = fadeIn;
+
+  audioNodes.source.onended = () => {
+    if (playerState.isPlaying) {
+      playerState.isPlaying = false;
+      updatePlayPauseIcon(false);
+      clearInterval(playerState.seekUpdateInterval);
+      stopMeter();
+    }
+  };
+  audioNodes.source.start(swapTime, offset);
+  console.log('[Normalize] Swapped playback buffer at', offset.toFixed(2), 's');
+}
+
 function seekTo(time) {
   // Prevent race condition from rapid seeks
   if (playerState.isSeeking) return;
@@ -1749,6 +3615,7 @@ function seekTo(time) {
         oldSource.disconnect();
       } catch (e) {}
     }
+    releaseSourceFadeIn();
     clearInterval(playerState.seekUpdateInterval);
 
     audioNodes.source = audioNodes.context.createBufferSource();
@@ -1842,7 +3709,9 @@ async function loadFile(filePath) {
 
   try {
     // Cleanup previous AudioContext to prevent memory leaks
+    cancelBackgroundNormalization();
     await cleanupAudioContext();
+    resetLoudnessMeter();
 
     fileState.selectedFilePath = filePath;
 
@@ -1863,6 +3732,8 @@ async function loadFile(filePath) {
 
       fileName.textContent = name;
       fileMeta.textContent = `${ext} • ${sampleRateKHz}kHz • ${duration}`;
+      updateLoudnessReadout();
+      updateClipReport();
 
       fileZoneContent.classList.add('hidden');
       fileLoaded.classList.remove('hidden');
@@ -1915,6 +3786,7 @@ playBtn.addEventListener('click', () => {
 stopBtn.addEventListener('click', () => {
   stopAudio();
   stopMeter();
+  resetLoudnessMeter();
   playerState.pauseTime = 0;
   seekBar.value = 0;
   currentTimeEl.textContent = '0:00';
@@ -1936,6 +3808,8 @@ bypassBtn.addEventListener('click', () => {
   bypassBtn.classList.toggle('active', playerState.isBypassed);
   updateAudioChain();
   updateEQ();
+  updateMultiband();
+  updatePlatformSimulation();
 });
 
 // ============================================================================
@@ -1991,25 +3865,47 @@ async function processAudio(outputPath) {
     return;
   }
 
+  // The loudness correction assumes the playback buffer is normalized to
+  // normalizedTargetLufs, so let a pending or running normalization finish
+  if (renormalizeTimeout) normalizeAudioInBackground();
+  if (fileState.isNormalizing) {
+    showLoadingModal('Finishing normalization...', 1, true);
+    await waitForNormalization();
+    if (processingCancelled) {
+      hideLoadingModal();
+      showToast('Export cancelled.');
+      processBtn.disabled = false;
+      isProcessing = false;
+      return;
+    }
+  }
+
   const settings = {
     normalizeLoudness: normalizeLoudness.checked,
+    targetLufs: targetLufsDb,
+    loudnessCorrectionDb: getLoudnessCorrectionDb(),
     truePeakLimit: truePeakLimit.checked,
     truePeakCeiling: ceilingValueDb,
     cleanLowEnd: cleanLowEnd.checked,
     glueCompression: glueCompression.checked,
+    ...getGlueSettings(),
     stereoWidth: parsedStereoWidth,
     centerBass: centerBass.checked,
+    centerBassFreq: parseInt(centerBassFreq.value) || AUDIO_CONSTANTS.MONO_BASS.DEFAULT_FREQUENCY,
     cutMud: cutMud.checked,
     addAir: addAir.checked,
     tameHarsh: tameHarsh.checked,
+    ...getHarshSettings(),
+    saturation: saturation.checked,
+    ...getSaturationSettings(),
+    clipper: clipper.checked,
+    ...getClipperSettings(),
     sampleRate: parsedSampleRate,
     bitDepth: parsedBitDepth,
     inputGain: inputGainValue,
-    eqLow: eqValues.low,
-    eqLowMid: eqValues.lowMid,
-    eqMid: eqValues.mid,
-    eqHighMid: eqValues.highMid,
-    eqHigh: eqValues.high
+    eqBands: eqBands.map(band => ({ ...band })),
+    linearPhaseEQ: linearPhaseEQ.checked,
+    multiband: validateMultiband(multibandSettings)
   };
 
   const updateProgress = (percent, text) => {
@@ -2031,7 +3927,20 @@ async function processAudio(outputPath) {
     // Use Web Audio offline render (same processing chain as preview)
     showLoadingModal('Rendering audio...', 5, true);
 
-    const outputData = await renderOffline(audioNodes.buffer, settings, updateProgress);
+    const { wavData: outputData, renderedBuffer, truePeak, offTargetReason } = await renderOffline(audioNodes.buffer, settings, updateProgress);
+
+    if (processingCancelled) {
+      throw new Error('Cancelled');
+    }
+
+    // Verify loudness of the rendered master (true peak was measured during render)
+    showLoadingModal('Measuring loudness...', 92, true);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    fileState.masterLoudness = measureLoudness(renderedBuffer, { truePeak });
+    console.log('[TruePeak] Master:', fileState.masterLoudness.truePeakDb.toFixed(2), 'dBTP');
+    updateLoudnessReadout();
+    drawLoudnessOverlay();
+    updateChecklist();
 
     if (processingCancelled) {
       throw new Error('Cancelled');
@@ -2044,7 +3953,7 @@ async function processAudio(outputPath) {
     showLoadingModal('Complete!', 100, false);
     setTimeout(() => {
       hideLoadingModal();
-      showToast('✓ Export complete! Your mastered file is ready.', 'success');
+      showToast(getExportSummary(settings, offTargetReason), 'success');
     }, 300);
 
   } catch (error) {
@@ -2061,6 +3970,27 @@ async function processAudio(outputPath) {
   processBtn.disabled = false;
 }
 
+/**
+ * Completion toast text, reporting the loudness the master actually achieved
+ */
+function getExportSummary(settings, offTargetReason) {
+  const master = fileState.masterLoudness;
+  if (!master) return '✓ Export complete! Your mastered file is ready.';
+
+  const achieved = `${formatLufs(master.lufs)} • ${formatTruePeak(master.truePeakDb)}`;
+  if (!settings.normalizeLoudness) {
+    return `✓ Export complete! Master: ${achieved}`;
+  }
+  const { MAX_PASSES, MAX_CORRECTION_DB } = LOUDNESS_CORRECTION;
+  const reasons = {
+    ceiling: 'limited by the true peak ceiling',
+    'max-passes': `not reached in ${MAX_PASSES} passes`,
+    'correction-limit': `correction capped at ±${MAX_CORRECTION_DB} dB`
+  };
+  return `✓ Export complete! Master: ${achieved} (target ${settings.targetLufs} LUFS` +
+    (reasons[offTargetReason] ? `, ${reasons[offTargetReason]})` : ')');
+}
+
 cancelBtn.addEventListener('click', cancelProcessing);
 
 // ============================================================================
@@ -2069,39 +3999,336 @@ cancelBtn.addEventListener('click', cancelProcessing);
 
 function updateChecklist() {
   miniLufs.classList.toggle('active', normalizeLoudness.checked);
-  miniPeak.classList.toggle('active', truePeakLimit.checked);
   miniFormat.classList.toggle('active', fileState.selectedFilePath !== null);
+
+  // Once a master has been rendered, report its measured true peak
+  const master = fileState.masterLoudness;
+  if (master) {
+    const withinLimit = master.truePeakDb <= getMaxTruePeakDb();
+    miniPeakValue.textContent = formatTruePeak(master.truePeakDb);
+    miniPeak.classList.toggle('active', withinLimit);
+    miniPeak.classList.toggle('warn', !withinLimit);
+  } else {
+    miniPeakValue.textContent = 'True Peak';
+    miniPeak.classList.toggle('active', truePeakLimit.checked);
+    miniPeak.classList.remove('warn');
+  }
+}
+
+function formatLufs(lufs) {
+  return isFinite(lufs) ? `${lufs.toFixed(1)} LUFS` : '-∞ LUFS';
+}
+
+function formatTruePeak(truePeakDb) {
+  return isFinite(truePeakDb) ? `${truePeakDb.toFixed(1)} dBTP` : '-∞ dBTP';
+}
+
+function formatStat(value, unit = 'LU') {
+  return isFinite(value) ? `${value.toFixed(1)} ${unit}` : '--';
+}
+
+// Columns of the loudness statistics table: [header, tooltip, formatter]
+const LOUDNESS_STAT_COLUMNS = [
+  ['Integrated', 'Integrated loudness (ITU-R BS.1770-4)', s => formatLufs(s.lufs)],
+  ['True Peak', 'Maximum inter-sample peak (4x oversampled)', s => formatTruePeak(s.truePeakDb)],
+  ['LRA', 'Loudness Range (EBU Tech 3342) - low values mean a heavily squashed track', s => formatStat(s.lra)],
+  ['Max ST', 'Loudest 3s short-term loudness', s => formatLufs(s.maxShortTerm)],
+  ['PLR', 'Peak-to-loudness ratio (true peak minus integrated)', s => formatStat(s.plr, 'dB')],
+  ['Crest', 'Crest factor (sample peak over RMS)', s => formatStat(s.crestFactorDb, 'dB')]
+];
+
+function updateLoudnessReadout() {
+  if (!fileLoudness) return;
+
+  fileLoudness.textContent = '';
+  const rows = [['Source', fileState.sourceLoudness], ['Master', fileState.masterLoudness]]
+    .filter(([, stats]) => stats);
+  if (rows.length === 0) return;
+
+  // Build DOM elements programmatically (safer than innerHTML)
+  const table = document.createElement('table');
+  const headerRow = table.insertRow();
+  headerRow.insertCell().textContent = '';
+  LOUDNESS_STAT_COLUMNS.forEach(([header, tip]) => {
+    const cell = headerRow.insertCell();
+    cell.textContent = header;
+    cell.title = tip;
+  });
+
+  rows.forEach(([label, stats]) => {
+    const row = table.insertRow();
+    row.insertCell().textContent = label;
+    LOUDNESS_STAT_COLUMNS.forEach(([, , format]) => {
+      row.insertCell().textContent = format(stats);
+    });
+    // Flag a master over the delivery true-peak limit
+    if (stats === fileState.masterLoudness && stats.truePeakDb > getMaxTruePeakDb()) {
+      row.cells[2].classList.add('warn');
+    }
+  });
+
+  fileLoudness.appendChild(table);
+}
+
+const CLIP_REPORT_MAX_TIMES = 5;  // Timestamps listed per line; the rest go in the tooltip
+
+function formatClipTimes(events) {
+  const times = events.map(event => formatTime(event.time));
+  // Neighbouring events within the same second read as one
+  const unique = times.filter((time, i) => time !== times[i - 1]);
+  const shown = unique.slice(0, CLIP_REPORT_MAX_TIMES).join(', ');
+  return unique.length > CLIP_REPORT_MAX_TIMES ? `${shown}, …` : shown;
+}
+
+/**
+ * Gain the source gets before the chain: input gain plus loudness normalization
+ */
+function getSourceGainDb() {
+  const sourceLufs = fileState.sourceLoudness?.lufs;
+  const normalizeDb = normalizeLoudness.checked && isFinite(sourceLufs) ? targetLufsDb - sourceLufs : 0;
+  return inputGainValue + normalizeDb;
+}
+
+/**
+ * List clipped runs and inter-sample overs in the source, and warn when the
+ * input gain and normalization push them further over
+ */
+function updateClipReport() {
+  if (!clipReportEl) return;
+  clipReportEl.textContent = '';
+  const report = fileState.clipReport;
+  if (!report || (report.clips.length === 0 && report.overs.length === 0)) return;
+
+  const lines = [];
+  if (report.clips.length > 0) {
+    lines.push([`Clipped: ${report.clips.length} run${report.clips.length === 1 ? '' : 's'} at ${formatClipTimes(report.clips)}`,
+      `${report.clippedSamples} samples at full scale`]);
+  }
+  if (report.overs.length > 0) {
+    const maxOverDb = report.overs.reduce((max, over) => Math.max(max, over.peakDb), -Infinity);
+    lines.push([`Inter-sample overs: ${report.overs.length} at ${formatClipTimes(report.overs)}`,
+      `True peak reaches +${maxOverDb.toFixed(1)} dBTP between samples`]);
+  }
+  lines.forEach(([text, tip]) => {
+    const line = document.createElement('div');
+    line.textContent = text;
+    line.title = tip;
+    clipReportEl.appendChild(line);
+  });
+
+  const gainDb = getSourceGainDb();
+  if (gainDb > 0) {
+    const warning = document.createElement('div');
+    warning.className = 'warn';
+    warning.textContent = `Input gain and normalization add +${gainDb.toFixed(1)} dB to these - lower Input gain`;
+    warning.title = 'The clipped peaks hit the limiter harder the more gain they get. ' +
+      'Lowering the input gain (or the target) keeps the existing distortion from getting worse.';
+    clipReportEl.appendChild(warning);
+  }
 }
 
 // Special handling for normalizeLoudness to switch buffers
 normalizeLoudness.addEventListener('change', () => {
   if (normalizeLoudness.checked) {
-    // Switch to normalized buffer if available
-    if (fileState.normalizedBuffer) {
-      audioNodes.buffer = fileState.normalizedBuffer;
+    // Switch to normalized buffer if it matches the current target
+    if (fileState.normalizedBuffer && fileState.normalizedTargetLufs === targetLufsDb) {
+      swapPlaybackBuffer(fileState.normalizedBuffer);
       console.log('[Normalize] Switched to normalized buffer');
-    } else if (fileState.selectedFilePath && !fileState.isNormalizing) {
-      // Start normalization if not already running
-      normalizeAudioInBackground(fileState.selectedFilePath);
+    } else if (fileState.originalBuffer) {
+      normalizeAudioInBackground();
     }
   } else {
     // Switch back to original buffer
+    cancelBackgroundNormalization();
     if (fileState.originalBuffer) {
-      audioNodes.buffer = fileState.originalBuffer;
+      swapPlaybackBuffer(fileState.originalBuffer);
       console.log('[Normalize] Switched to original buffer');
     }
   }
   updateAudioChain();
   updateChecklist();
+  drawLoudnessOverlay();
+  updateClipReport();
 });
 
-[truePeakLimit, cleanLowEnd, glueCompression, centerBass, cutMud, addAir, tameHarsh].forEach(el => {
+[truePeakLimit, cleanLowEnd, glueCompression, centerBass, centerBassFreq, cutMud, addAir, tameHarsh].forEach(el => {
   el.addEventListener('change', () => {
     updateAudioChain();
     updateChecklist();
   });
 });
 
+// Glue compressor controls
+const GLUE_SLIDERS = {
+  glueThreshold: (value) => `${value.toFixed(1)} dB`,
+  glueRatio: (value) => `${value.toFixed(1)}:1`,
+  glueAttack: (value) => `${value} ms`,
+  glueRelease: (value) => `${value} ms`,
+  glueKnee: (value) => `${value} dB`,
+  glueMakeup: (value) => `${value >= 0 ? '+' : ''}${value.toFixed(1)} dB`
+};
+
+/**
+ * Glue compressor settings from the controls (glue* keys of SETTINGS_SCHEMA)
+ */
+function getGlueSettings() {
+  const settings = {
+    glueAutoMakeup: glueAutoMakeup.checked,
+    glueSidechainHz: parseInt(glueSidechainHz.value) || 0
+  };
+  for (const key of Object.keys(GLUE_SLIDERS)) {
+    settings[key] = parseFloat(document.getElementById(key).value);
+  }
+  return settings;
+}
+
+function updateGlueDisplay() {
+  const settings = getGlueSettings();
+  for (const [key, format] of Object.entries(GLUE_SLIDERS)) {
+    document.getElementById(`${key}Value`).textContent = format(settings[key]);
+  }
+  // Auto makeup: the slider is locked and the readout shows the computed gain
+  document.getElementById('glueMakeup').disabled = settings.glueAutoMakeup;
+  if (settings.glueAutoMakeup) {
+    document.getElementById('glueMakeupValue').textContent = GLUE_SLIDERS.glueMakeup(getGlueMakeupDb(settings));
+  }
+}
+
+Object.keys(GLUE_SLIDERS).forEach(key => {
+  document.getElementById(key).addEventListener('input', () => {
+    updateGlueDisplay();
+    updateAudioChain();
+  });
+});
+
+[glueAutoMakeup, glueSidechainHz].forEach(el => {
+  el.addEventListener('change', () => {
+    updateGlueDisplay();
+    updateAudioChain();
+  });
+});
+
+updateGlueDisplay();
+
+// Saturation controls
+const SATURATION_SLIDERS = {
+  saturationDrive: (value) => `${value.toFixed(1)} dB`,
+  saturationMix: (value) => `${value}%`,
+  saturationOutput: (value) => `${value >= 0 ? '+' : ''}${value.toFixed(1)} dB`
+};
+
+/**
+ * Saturation settings from the controls (saturation* keys of SETTINGS_SCHEMA)
+ */
+function getSaturationSettings() {
+  const settings = {
+    saturationMode: saturationMode.value,
+    saturationOversample: saturationOversample.value
+  };
+  for (const key of Object.keys(SATURATION_SLIDERS)) {
+    settings[key] = parseFloat(document.getElementById(key).value);
+  }
+  return settings;
+}
+
+function updateSaturationDisplay() {
+  const settings = getSaturationSettings();
+  for (const [key, format] of Object.entries(SATURATION_SLIDERS)) {
+    document.getElementById(`${key}Value`).textContent = format(settings[key]);
+  }
+}
+
+Object.keys(SATURATION_SLIDERS).forEach(key => {
+  document.getElementById(key).addEventListener('input', () => {
+    updateSaturationDisplay();
+    updateAudioChain();
+  });
+});
+
+[saturation, saturationMode, saturationOversample].forEach(el => {
+  el.addEventListener('change', updateAudioChain);
+});
+
+updateSaturationDisplay();
+
+// Clipper controls
+
+/**
+ * Clipper settings from the controls (clipper* keys of SETTINGS_SCHEMA)
+ */
+function getClipperSettings() {
+  return {
+    clipperThreshold: parseFloat(clipperThresholdSlider.value),
+    clipperShape: clipperShape.value,
+    clipperOversample: parseInt(clipperOversample.value)
+  };
+}
+
+function updateClipperDisplay() {
+  clipperThresholdValue.textContent = `${parseFloat(clipperThresholdSlider.value).toFixed(1)} dB`;
+}
+
+clipperThresholdSlider.addEventListener('input', () => {
+  updateClipperDisplay();
+  updateAudioChain();
+});
+
+[clipper, clipperShape, clipperOversample].forEach(el => {
+  el.addEventListener('change', updateAudioChain);
+});
+
+updateClipperDisplay();
+
+// Linear-phase EQ is export only: the preview keeps the biquads, the badge says so
+linearPhaseEQ.addEventListener('change', () => {
+  linearPhaseBadge.hidden = !linearPhaseEQ.checked;
+});
+
+// Tame Harshness dynamic mode controls
+let harshListen = false;  // Preview what the dynamic EQ detectors hear (never exported)
+
+/**
+ * Tame Harshness settings from the controls (tameHarshMode and harsh* keys of SETTINGS_SCHEMA)
+ */
+function getHarshSettings() {
+  return {
+    tameHarshMode: tameHarshMode.value,
+    harshThreshold: parseFloat(harshThresholdSlider.value),
+    harshRange: parseFloat(harshRangeSlider.value)
+  };
+}
+
+function updateHarshDisplay() {
+  harshThresholdValue.textContent = `${harshThresholdSlider.value} dB`;
+  harshRangeValue.textContent = `${harshRangeSlider.value} dB`;
+  harshDynamicControls.hidden = tameHarshMode.value !== 'dynamic';
+  harshListenBtn.classList.toggle('active', harshListen);
+}
+
+function updateHarshReductionDisplay(reduction) {
+  harshReductionDisplay.textContent = `${reduction < -0.05 ? reduction.toFixed(1) : '0.0'} dB`;
+}
+
+[harshThresholdSlider, harshRangeSlider].forEach(el => {
+  el.addEventListener('input', () => {
+    updateHarshDisplay();
+    updateAudioChain();
+  });
+});
+
+tameHarshMode.addEventListener('change', () => {
+  updateHarshDisplay();
+  updateAudioChain();
+});
+
+harshListenBtn.addEventListener('click', () => {
+  harshListen = !harshListen;
+  updateHarshDisplay();
+  updateAudioChain();
+});
+
+updateHarshDisplay();
+
 // truePeakSlider event listener removed - now using ceiling fader
 
 stereoWidthSlider.addEventListener('input', () => {
@@ -2109,13 +4336,22 @@ stereoWidthSlider.addEventListener('input', () => {
   updateStereoWidth();
 });
 
-// Target LUFS slider
-targetLufsSlider.addEventListener('input', () => {
-  targetLufsDb = parseInt(targetLufsSlider.value);
+function setTargetLufs(value) {
+  targetLufsDb = value;
+  targetLufsSlider.value = value;
   targetLufsValue.textContent = `${targetLufsDb} LUFS`;
   if (miniLufsValue) {
     miniLufsValue.textContent = `${targetLufsDb} LUFS`;
   }
+  drawLoudnessOverlay();
+  updateClipReport();
+  scheduleRenormalize();
+}
+
+// Target LUFS slider
+targetLufsSlider.addEventListener('input', () => {
+  setTargetLufs(parseInt(targetLufsSlider.value));
+  syncDeliveryProfile();
 });
 
 // Output format presets
@@ -2124,6 +4360,17 @@ const outputPresets = {
   studio: { sampleRate: 48000, bitDepth: 24 }
 };
 
+function syncOutputPresetButtons() {
+  const currentRate = parseInt(sampleRate.value);
+  const currentDepth = parseInt(bitDepth.value);
+
+  document.querySelectorAll('.output-preset-btn').forEach(btn => {
+    const preset = outputPresets[btn.dataset.preset];
+    const isMatch = preset.sampleRate === currentRate && preset.bitDepth === currentDepth;
+    btn.classList.toggle('active', isMatch);
+  });
+}
+
 document.querySelectorAll('.output-preset-btn').forEach(btn => {
   btn.addEventListener('click', () => {
     const preset = outputPresets[btn.dataset.preset];
@@ -2133,23 +4380,349 @@ document.querySelectorAll('.output-preset-btn').forEach(btn => {
 
       document.querySelectorAll('.output-preset-btn').forEach(b => b.classList.remove('active'));
       btn.classList.add('active');
+      syncDeliveryProfile();
     }
   });
 });
 
 [sampleRate, bitDepth].forEach(el => {
   el.addEventListener('change', () => {
-    const currentRate = parseInt(sampleRate.value);
-    const currentDepth = parseInt(bitDepth.value);
+    syncOutputPresetButtons();
+    syncDeliveryProfile();
+  });
+});
+
+// ============================================================================
+// Background Normalization (Web Worker)
+// ============================================================================
+
+const RENORMALIZE_DEBOUNCE_MS = 250;
+const NORMALIZE_POLL_MS = 50;
+const normalizeProgress = document.getElementById('normalizeProgress');
+const normalizeProgressFill = document.getElementById('normalizeProgressFill');
+let normalizeWorker = null;
+let renormalizeTimeout = null;
+
+function setNormalizeProgress(percent) {
+  normalizeProgress.hidden = percent === null;
+  normalizeProgressFill.style.width = `${percent || 0}%`;
+}
+
+function cancelBackgroundNormalization() {
+  clearTimeout(renormalizeTimeout);
+  renormalizeTimeout = null;
+  if (normalizeWorker) {
+    normalizeWorker.terminate();
+    normalizeWorker = null;
+    console.log('[Normalize] Background normalization cancelled');
+  }
+  fileState.isNormalizing = false;
+  setNormalizeProgress(null);
+}
+
+/**
+ * Re-normalize after the target changes (debounced while the slider moves)
+ */
+function scheduleRenormalize() {
+  clearTimeout(renormalizeTimeout);
+  renormalizeTimeout = null;
+  if (!fileState.originalBuffer || !normalizeLoudness.checked) return;
+
+  if (fileState.normalizedTargetLufs === targetLufsDb) {
+    // Back at the target of the current buffer - nothing to redo
+    cancelBackgroundNormalization();
+    return;
+  }
+  renormalizeTimeout = setTimeout(normalizeAudioInBackground, RENORMALIZE_DEBOUNCE_MS);
+}
+
+/**
+ * Resolve once background normalization has finished (or the export is cancelled)
+ */
+function waitForNormalization() {
+  return new Promise(resolve => {
+    const poll = () => {
+      if (!fileState.isNormalizing || processingCancelled) {
+        resolve();
+      } else {
+        setTimeout(poll, NORMALIZE_POLL_MS);
+      }
+    };
+    poll();
+  });
+}
+
+/**
+ * Export gain that takes the playback buffer to the current target. A failed
+ * normalization leaves the original buffer playing, which needs the full gain.
+ */
+function getLoudnessCorrectionDb() {
+  if (!normalizeLoudness.checked) return 0;
+  if (audioNodes.buffer === fileState.normalizedBuffer && fileState.normalizedTargetLufs !== null) {
+    return targetLufsDb - fileState.normalizedTargetLufs;
+  }
+  const sourceLufs = fileState.sourceLoudness?.lufs;
+  return isFinite(sourceLufs) ? targetLufsDb - sourceLufs : 0;
+}
+
+/**
+ * Normalize the original buffer to the current target in a Web Worker, then
+ * swap it in (mid-playback if needed). Starting again cancels a running job.
+ */
+function normalizeAudioInBackground() {
+  cancelBackgroundNormalization();
+  const source = fileState.originalBuffer;
+  if (!source) return;
 
-    document.querySelectorAll('.output-preset-btn').forEach(btn => {
-      const preset = outputPresets[btn.dataset.preset];
-      const isMatch = preset.sampleRate === currentRate && preset.bitDepth === currentDepth;
-      btn.classList.toggle('active', isMatch);
+  const targetLufs = targetLufsDb;
+  const channels = [];
+  for (let ch = 0; ch < source.numberOfChannels; ch++) {
+    channels.push(source.getChannelData(ch).slice());
+  }
+
+  const worker = new NormalizeWorker();
+  normalizeWorker = worker;
+  fileState.isNormalizing = true;
+  setNormalizeProgress(0);
+  console.log('[Normalize] Re-normalizing to', targetLufs, 'LUFS in background');
+
+  const finish = () => {
+    worker.terminate();
+    normalizeWorker = null;
+    fileState.isNormalizing = false;
+    setNormalizeProgress(null);
+  };
+
+  worker.onmessage = (event) => {
+    if (worker !== normalizeWorker) return;  // Superseded
+    const message = event.data;
+
+    if (message.type === 'progress') {
+      setNormalizeProgress(message.percent);
+      return;
+    }
+
+    finish();
+    if (message.type === 'error') {
+      console.error('[Normalize] Background normalization failed:', message.message);
+      showToast(`Normalization failed: ${message.message}`, 'error');
+      return;
+    }
+
+    const normalizedBuffer = new AudioBuffer({
+      numberOfChannels: source.numberOfChannels,
+      length: source.length,
+      sampleRate: source.sampleRate
     });
+    message.channels.forEach((data, ch) => normalizedBuffer.copyToChannel(data, ch));
+
+    fileState.normalizedBuffer = normalizedBuffer;
+    fileState.normalizedTargetLufs = targetLufs;
+    console.log('[Normalize] Applied gain:', message.gainDb.toFixed(2), 'dB');
+
+    if (normalizeLoudness.checked) {
+      swapPlaybackBuffer(normalizedBuffer);
+    }
+  };
+
+  worker.onerror = (event) => {
+    if (worker !== normalizeWorker) return;
+    finish();
+    console.error('[Normalize] Worker error:', event.message);
+    showToast('Normalization failed', 'error');
+  };
+
+  worker.postMessage({
+    channels,
+    sampleRate: source.sampleRate,
+    targetLufs,
+    currentLufs: fileState.sourceLoudness?.lufs
+  }, channels.map(data => data.buffer));
+}
+
+// ============================================================================
+// Delivery Profiles
+// ============================================================================
+
+const CUSTOM_PROFILES_KEY = 'customDeliveryProfiles';
+const SELECTED_PROFILE_KEY = 'deliveryProfile';
+const CUSTOM_PROFILE_PREFIX = 'custom:';
+
+let deliveryProfileId = AUDIO_CONSTANTS.DEFAULT_DELIVERY_PROFILE;
+let customProfiles = loadCustomProfiles();
+
+/**
+ * Load custom profiles from localStorage, dropping any that fail validation
+ * @returns {Object} Map of profile name -> profile
+ */
+function loadCustomProfiles() {
+  const profiles = {};
+  try {
+    const stored = JSON.parse(localStorage.getItem(CUSTOM_PROFILES_KEY) || '[]');
+    for (const entry of Array.isArray(stored) ? stored : []) {
+      const profile = validateDeliveryProfile(entry);
+      if (profile) profiles[profile.name] = profile;
+    }
+  } catch (error) {
+    console.warn('[Profiles] Ignoring unreadable custom profiles:', error);
+  }
+  return profiles;
+}
+
+function saveCustomProfiles() {
+  localStorage.setItem(CUSTOM_PROFILES_KEY, JSON.stringify(Object.values(customProfiles)));
+}
+
+/**
+ * Look up a built-in or custom profile; '' (manual settings) returns null
+ */
+function getDeliveryProfile(id = deliveryProfileId) {
+  if (id.startsWith(CUSTOM_PROFILE_PREFIX)) {
+    return customProfiles[id.slice(CUSTOM_PROFILE_PREFIX.length)] || null;
+  }
+  return AUDIO_CONSTANTS.DELIVERY_PROFILES[id] || null;
+}
+
+/**
+ * Maximum true peak the master may reach: the selected profile's limit, or the
+ * ceiling itself when settings have been adjusted by hand
+ */
+function getMaxTruePeakDb() {
+  return getDeliveryProfile()?.maxTruePeakDb ?? ceilingValueDb;
+}
+
+function populateProfileSelect() {
+  deliveryProfileSelect.textContent = '';
+
+  const addOption = (parent, value, label) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    parent.appendChild(option);
+  };
+
+  addOption(deliveryProfileSelect, '', 'Manual');
+  for (const [id, profile] of Object.entries(AUDIO_CONSTANTS.DELIVERY_PROFILES)) {
+    addOption(deliveryProfileSelect, id, `${profile.name} (${profile.targetLufs})`);
+  }
+
+  const customNames = Object.keys(customProfiles);
+  if (customNames.length > 0) {
+    const group = document.createElement('optgroup');
+    group.label = 'Custom';
+    customNames.forEach(name => {
+      addOption(group, CUSTOM_PROFILE_PREFIX + name, `${name} (${customProfiles[name].targetLufs})`);
+    });
+    deliveryProfileSelect.appendChild(group);
+  }
+
+  deliveryProfileSelect.value = deliveryProfileId;
+}
+
+function setDeliveryProfileId(id) {
+  deliveryProfileId = id;
+  deliveryProfileSelect.value = id;
+  deleteProfileBtn.hidden = !id.startsWith(CUSTOM_PROFILE_PREFIX);
+  localStorage.setItem(SELECTED_PROFILE_KEY, id);
+  updateChecklist();
+  updateLoudnessReadout();
+}
+
+/**
+ * Apply target LUFS, ceiling and output format of a profile together
+ */
+function applyDeliveryProfile(id) {
+  const profile = getDeliveryProfile(id);
+  if (!profile) {
+    setDeliveryProfileId('');
+    return;
+  }
+
+  setTargetLufs(profile.targetLufs);
+  sampleRate.value = profile.sampleRate;
+  bitDepth.value = profile.bitDepth;
+  syncOutputPresetButtons();
+
+  ceilingValueDb = profile.maxTruePeakDb;
+  faders.ceiling?.setValue(profile.maxTruePeakDb);
+  updateAudioChain();
+
+  setDeliveryProfileId(id);
+}
+
+/**
+ * Switch to Manual once the settings no longer match the selected profile
+ */
+function syncDeliveryProfile() {
+  const profile = getDeliveryProfile();
+  if (!profile) return;
+
+  const matches = profile.targetLufs === targetLufsDb &&
+    profile.maxTruePeakDb === ceilingValueDb &&
+    profile.sampleRate === parseInt(sampleRate.value) &&
+    profile.bitDepth === parseInt(bitDepth.value);
+  if (!matches) setDeliveryProfileId('');
+}
+
+function hideProfileSaveRow() {
+  profileSaveRow.hidden = true;
+  profileNameInput.value = '';
+}
+
+deliveryProfileSelect.addEventListener('change', () => {
+  applyDeliveryProfile(deliveryProfileSelect.value);
+});
+
+saveProfileBtn.addEventListener('click', () => {
+  profileSaveRow.hidden = !profileSaveRow.hidden;
+  if (!profileSaveRow.hidden) profileNameInput.focus();
+});
+
+profileNameInput.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') {
+    hideProfileSaveRow();
+    return;
+  }
+  if (e.key !== 'Enter') return;
+
+  const profile = validateDeliveryProfile({
+    name: profileNameInput.value,
+    targetLufs: targetLufsDb,
+    maxTruePeakDb: ceilingValueDb,
+    sampleRate: parseInt(sampleRate.value),
+    bitDepth: parseInt(bitDepth.value)
   });
+  if (!profile) {
+    showToast('Enter a name for the profile', 'error');
+    return;
+  }
+
+  customProfiles[profile.name] = profile;
+  saveCustomProfiles();
+  hideProfileSaveRow();
+  deliveryProfileId = CUSTOM_PROFILE_PREFIX + profile.name;
+  populateProfileSelect();
+  applyDeliveryProfile(deliveryProfileId);
+  showToast(`Saved profile "${profile.name}"`, 'success');
 });
 
+profileNameInput.addEventListener('blur', hideProfileSaveRow);
+
+deleteProfileBtn.addEventListener('click', () => {
+  const name = deliveryProfileId.slice(CUSTOM_PROFILE_PREFIX.length);
+  delete customProfiles[name];
+  saveCustomProfiles();
+  deliveryProfileId = '';
+  populateProfileSelect();
+  setDeliveryProfileId('');
+});
+
+function initDeliveryProfiles() {
+  populateProfileSelect();
+  const saved = localStorage.getItem(SELECTED_PROFILE_KEY);
+  applyDeliveryProfile(saved !== null && (saved === '' || getDeliveryProfile(saved)) ? saved : deliveryProfileId);
+}
+
 // ============================================================================
 // Tooltip System
 // ============================================================================
@@ -2270,4 +4843,7 @@ window.addEventListener('beforeunload', () => {
 // ============================================================================
 
 initFaders();
+initDeliveryProfiles();
+populatePlatformSimSelect();
+initMeterSettings();
 updateChecklist();
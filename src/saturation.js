@@ -0,0 +1,54 @@
+/**
+ * saturation.js - Transfer curves for the saturation stage (WaveShaperNode)
+ *
+ * A WaveShaper curve covers inputs -1..1, so the stage scales its input down
+ * by SATURATION.HEADROOM first and each curve maps that back to the real
+ * level: curve index -> x in [-HEADROOM, HEADROOM] -> shape(drive * x) / drive.
+ * Dividing by the drive keeps the small-signal gain at 1, so drive adds
+ * harmonics and lowers the saturation point rather than making it louder.
+ *
+ *   tape     tanh - symmetric, odd harmonics
+ *   tube     biased tanh - asymmetric, adds even harmonics
+ *   softClip cubic, flat above the knee
+ */
+
+import { AUDIO_CONSTANTS } from '../audioConstants.js';
+
+const SHAPES = {
+  tape: (v) => Math.tanh(v),
+  tube: (v) => {
+    // Bias shifts the operating point; remove its offset and restore unity slope at 0
+    const { TUBE_BIAS } = AUDIO_CONSTANTS.SATURATION;
+    const slope = 1 - Math.tanh(TUBE_BIAS) ** 2;
+    return (Math.tanh(v + TUBE_BIAS) - Math.tanh(TUBE_BIAS)) / slope;
+  },
+  softClip: (v) => (Math.abs(v) < 1 ? v - v * v * v / 3 : Math.sign(v) * 2 / 3)
+};
+
+/**
+ * Saturation curve for a WaveShaperNode fed through a 1 / HEADROOM gain
+ * @param {string} mode - Key of AUDIO_CONSTANTS.SATURATION.MODES
+ * @param {number} driveDb - Drive in dB (0 = gentlest)
+ * @returns {Float32Array}
+ */
+export function createSaturationCurve(mode, driveDb) {
+  const { HEADROOM, CURVE_SIZE } = AUDIO_CONSTANTS.SATURATION;
+  const shape = SHAPES[mode] || SHAPES.tape;
+  const drive = Math.pow(10, driveDb / 20);
+  const curve = new Float32Array(CURVE_SIZE);
+  for (let i = 0; i < CURVE_SIZE; i++) {
+    const x = (i / (CURVE_SIZE - 1) * 2 - 1) * HEADROOM;
+    curve[i] = shape(drive * x) / drive;
+  }
+  return curve;
+}
+
+/**
+ * Straight-line curve for the dry path: same scaling and oversampling filters
+ * as the wet path, so the two stay time-aligned when mixed
+ * @returns {Float32Array}
+ */
+export function createLinearCurve() {
+  const { HEADROOM } = AUDIO_CONSTANTS.SATURATION;
+  return new Float32Array([-HEADROOM, HEADROOM]);
+}
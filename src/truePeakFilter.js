@@ -0,0 +1,27 @@
+/**
+ * truePeakFilter.js - ITU-R BS.1770-4 Annex 2 true-peak interpolation filter
+ *
+ * Shared by the true-peak measurement in loudness.js and the limiter worklet,
+ * so metering and limiting always see the same inter-sample peaks.
+ */
+
+// 48-tap FIR split into 4 polyphase branches of 12 taps (4x oversampling)
+export const TRUE_PEAK_FILTER = [
+  [0.0017089843750, 0.0109863281250, -0.0196533203125, 0.0332031250000,
+   -0.0594482421875, 0.1373291015625, 0.9721679687500, -0.1022949218750,
+   0.0476074218750, -0.0266113281250, 0.0148925781250, -0.0083007812500],
+  [-0.0291748046875, 0.0292968750000, -0.0517578125000, 0.0891113281250,
+   -0.1665039062500, 0.4650878906250, 0.7797851562500, -0.2003173828125,
+   0.1015625000000, -0.0582275390625, 0.0330810546875, -0.0189208984375],
+  [-0.0189208984375, 0.0330810546875, -0.0582275390625, 0.1015625000000,
+   -0.2003173828125, 0.7797851562500, 0.4650878906250, -0.1665039062500,
+   0.0891113281250, -0.0517578125000, 0.0292968750000, -0.0291748046875],
+  [-0.0083007812500, 0.0148925781250, -0.0266113281250, 0.0476074218750,
+   -0.1022949218750, 0.9721679687500, 0.1373291015625, -0.0594482421875,
+   0.0332031250000, -0.0196533203125, 0.0109863281250, 0.0017089843750]
+];
+
+export const TRUE_PEAK_FILTER_TAPS = TRUE_PEAK_FILTER[0].length;
+
+// Interpolated phases describe the signal around x[n - 6], so detection lags by 6 samples
+export const TRUE_PEAK_FILTER_DELAY = 6;
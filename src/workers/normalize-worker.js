@@ -0,0 +1,54 @@
+/**
+ * normalize-worker.js - Loudness normalization off the main thread
+ *
+ * Receives the original channel data, applies the gain that brings it to the
+ * target LUFS and transfers the result back. Measures the source first when
+ * its loudness isn't supplied. Cancelled by terminating the worker.
+ *
+ * Messages in:  { channels: Float32Array[], sampleRate, targetLufs, currentLufs? }
+ * Messages out: { type: 'progress', percent }
+ *               { type: 'done', channels: Float32Array[], gainDb }
+ *               { type: 'error', message }
+ */
+
+import { measureLUFS } from '../loudness.js';
+
+const CHUNK_SIZE = 1 << 16;    // Samples per progress update
+
+self.onmessage = (event) => {
+  const { channels, sampleRate, targetLufs } = event.data;
+
+  try {
+    let currentLufs = event.data.currentLufs;
+    if (!isFinite(currentLufs)) {
+      currentLufs = measureLUFS({
+        sampleRate,
+        numberOfChannels: channels.length,
+        length: channels[0].length,
+        duration: channels[0].length / sampleRate,
+        getChannelData: (ch) => channels[ch]
+      }, { dualMono: true });  // Mono plays on both channels, as in the renderer
+    }
+
+    // Unmeasurable (silent or too short) audio is passed through unchanged
+    const gainDb = isFinite(currentLufs) ? targetLufs - currentLufs : 0;
+    const gainLinear = Math.pow(10, gainDb / 20);
+
+    const total = channels.length * channels[0].length;
+    let done = 0;
+    for (const data of channels) {
+      for (let start = 0; start < data.length; start += CHUNK_SIZE) {
+        const end = Math.min(data.length, start + CHUNK_SIZE);
+        for (let i = start; i < end; i++) {
+          data[i] *= gainLinear;
+        }
+        done += end - start;
+        self.postMessage({ type: 'progress', percent: Math.round((done / total) * 100) });
+      }
+    }
+
+    self.postMessage({ type: 'done', channels, gainDb }, channels.map(ch => ch.buffer));
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message || String(error) });
+  }
+};
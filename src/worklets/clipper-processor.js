@@ -0,0 +1,183 @@
+/**
+ * clipper-processor.js - Oversampled peak clipper (AudioWorklet)
+ *
+ * Shaves peaks above the threshold before the limiter, so the limiter has
+ * less to do. The threshold is the output ceiling; the knee shape sets how
+ * the curve gets there (u = |x| / threshold):
+ *
+ *   0 hard   min(u, 1)
+ *   1 cubic  u - 4u³/27, reaching 1 at u = 1.5
+ *   2 sine   sin(u), reaching 1 at u = π/2
+ *
+ * Clipping adds harmonics that would alias, so the curve runs at 1x, 2x or 4x
+ * the sample rate. Up- and downsampling use the same linear-phase windowed-sinc
+ * lowpass, each delaying by latencySamples / 2 (an even number), so the total
+ * delay is latencySamples at every factor - and at 1x or when bypassed the
+ * audio is delayed by the same amount, so latency never jumps.
+ *
+ * With processorOptions.reportGainReduction, the deepest clip of each ~20ms is
+ * posted to the main thread.
+ *
+ * Messages out: { reduction } (dB, 0 or negative - like DynamicsCompressorNode.reduction)
+ */
+
+const MAX_CHANNELS = 2;
+const MAX_FACTOR = 4;
+const REPORT_INTERVAL_SEC = 0.02;
+// Lowpass cutoff as a fraction of the original sample rate (just under Nyquist)
+const CUTOFF = 0.46;
+
+const SHAPES = [
+  (u) => Math.min(u, 1),
+  (u) => (u < 1.5 ? u - 4 * u * u * u / 27 : 1),
+  (u) => (u < Math.PI / 2 ? Math.sin(u) : 1)
+];
+
+/**
+ * Blackman-windowed sinc lowpass for `factor`x oversampling, DC gain `factor`
+ * (which makes up for the zeros stuffed between the input samples)
+ */
+function designFilter(factor, latency) {
+  const taps = latency * factor + 1;
+  const centre = (taps - 1) / 2;
+  const cutoff = CUTOFF / factor;
+  const filter = new Float64Array(taps);
+  let sum = 0;
+  for (let k = 0; k < taps; k++) {
+    const t = k - centre;
+    const sinc = t === 0 ? 2 * cutoff : Math.sin(2 * Math.PI * cutoff * t) / (Math.PI * t);
+    const window = 0.42 - 0.5 * Math.cos(2 * Math.PI * k / (taps - 1)) + 0.08 * Math.cos(4 * Math.PI * k / (taps - 1));
+    filter[k] = sinc * window;
+    sum += filter[k];
+  }
+  for (let k = 0; k < taps; k++) {
+    filter[k] *= factor / sum;
+  }
+  return filter;
+}
+
+class ClipperProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      { name: 'threshold', defaultValue: -3, minValue: -24, maxValue: 0, automationRate: 'k-rate' },
+      { name: 'shape', defaultValue: 1, minValue: 0, maxValue: SHAPES.length - 1, automationRate: 'k-rate' },
+      { name: 'oversampling', defaultValue: MAX_FACTOR, minValue: 1, maxValue: MAX_FACTOR, automationRate: 'k-rate' },
+      { name: 'enabled', defaultValue: 1, minValue: 0, maxValue: 1, automationRate: 'k-rate' }
+    ];
+  }
+
+  constructor(options) {
+    super();
+    this.latency = options?.processorOptions?.latencySamples ?? 32;
+
+    // Filters per oversampling factor (1x needs none)
+    this.filters = { 2: designFilter(2, this.latency), 4: designFilter(MAX_FACTOR, this.latency) };
+    this.factor = 0;
+
+    // Per-channel input history and oversampled (clipped) history
+    this.historySize = this.latency + 1;
+    this.history = [];
+    this.oversampled = [];
+    for (let ch = 0; ch < MAX_CHANNELS; ch++) {
+      this.history.push(new Float64Array(this.historySize));
+      this.oversampled.push(new Float64Array(this.historySize * MAX_FACTOR));
+    }
+    this.writePos = 0;
+    this.oversampledPos = 0;
+
+    // Gain reduction reporting
+    this.reportGainReduction = !!options?.processorOptions?.reportGainReduction;
+    this.reportInterval = Math.round(sampleRate * REPORT_INTERVAL_SEC);
+    this.reportCounter = 0;
+    this.minGain = 1;
+  }
+
+  /**
+   * Clip one sample and track the deepest reduction
+   */
+  clip(x, threshold, shape) {
+    const abs = Math.abs(x);
+    if (abs === 0) return 0;
+    const y = threshold * shape(abs / threshold);
+    const gain = y / abs;
+    if (gain < this.minGain) this.minGain = gain;
+    return x < 0 ? -y : y;
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const numChannels = Math.min(output.length, MAX_CHANNELS);
+    const frames = output[0].length;
+
+    const enabled = parameters.enabled[0] >= 0.5;
+    const threshold = Math.pow(10, parameters.threshold[0] / 20);
+    const shape = SHAPES[Math.round(parameters.shape[0])] || SHAPES[0];
+    const factor = parameters.oversampling[0] >= MAX_FACTOR ? MAX_FACTOR : parameters.oversampling[0] >= 2 ? 2 : 1;
+    if (factor !== this.factor) {
+      // Old oversampled samples belong to another rate
+      this.factor = factor;
+      this.oversampled.forEach(buffer => buffer.fill(0));
+      this.oversampledPos = 0;
+    }
+
+    const size = this.historySize;
+    const latency = this.latency;
+    const filter = this.filters[factor];
+    const oversampledSize = size * factor;
+
+    for (let i = 0; i < frames; i++) {
+      const pos = this.writePos;
+      const oversampledPos = this.oversampledPos;
+
+      for (let ch = 0; ch < numChannels; ch++) {
+        // Mono input is shared by both outputs
+        const source = input[ch] || input[0];
+        const history = this.history[ch];
+        history[pos] = source ? source[i] : 0;
+
+        if (!enabled) {
+          output[ch][i] = history[(pos - latency + size) % size];
+          continue;
+        }
+        if (factor === 1) {
+          output[ch][i] = this.clip(history[(pos - latency + size) % size], threshold, shape);
+          continue;
+        }
+
+        // Upsample (polyphase: phase p uses taps p, p + factor, ...) and clip
+        const oversampled = this.oversampled[ch];
+        for (let phase = 0; phase < factor; phase++) {
+          let acc = 0;
+          for (let k = phase, j = 0; k < filter.length; k += factor, j++) {
+            acc += filter[k] * history[(pos - j + size) % size];
+          }
+          oversampled[(oversampledPos + phase) % oversampledSize] = this.clip(acc, threshold, shape);
+        }
+
+        // Downsample: filter the clipped signal at the first phase of this sample
+        let acc = 0;
+        for (let k = 0; k < filter.length; k++) {
+          acc += filter[k] * oversampled[(oversampledPos - k + oversampledSize) % oversampledSize];
+        }
+        output[ch][i] = acc / factor;
+      }
+
+      this.writePos = (pos + 1) % size;
+      this.oversampledPos = (oversampledPos + factor) % oversampledSize;
+    }
+
+    if (this.reportGainReduction) {
+      this.reportCounter += frames;
+      if (this.reportCounter >= this.reportInterval) {
+        this.port.postMessage({ reduction: 20 * Math.log10(Math.max(1e-6, this.minGain)) });
+        this.reportCounter = 0;
+        this.minGain = 1;
+      }
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('clipper', ClipperProcessor);
@@ -0,0 +1,167 @@
+/**
+ * dynamic-eq-processor.js - Dynamic EQ / de-esser (AudioWorklet)
+ *
+ * Each band listens to its own bandpassed copy of the input (stereo-linked,
+ * before any band has cut it)
+ * and only when that band's level rises above the threshold does a peaking
+ * filter at the same frequency cut it - by the overshoot times (1 - 1/RATIO),
+ * up to `range` dB. Below the threshold the band is left untouched, so
+ * the track isn't dulled where there is nothing harsh.
+ *
+ * Bands come in via processorOptions.bands: [{ frequency, q }]. No lookahead,
+ * so no added latency. With `listen` on, the output is the sum of what the
+ * detectors hear instead of the processed audio.
+ *
+ * With processorOptions.reportGainReduction, the deepest cut of each ~20ms is
+ * posted to the main thread.
+ *
+ * Messages out: { reduction } (dB, 0 or negative)
+ */
+
+const MAX_CHANNELS = 2;
+const REPORT_INTERVAL_SEC = 0.02;
+const RATIO = 3;
+const ATTACK_SEC = 0.002;
+const RELEASE_SEC = 0.08;
+
+class DynamicEQProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      { name: 'threshold', defaultValue: -30, minValue: -60, maxValue: 0, automationRate: 'k-rate' },
+      { name: 'range', defaultValue: 6, minValue: 0, maxValue: 24, automationRate: 'k-rate' },
+      { name: 'enabled', defaultValue: 1, minValue: 0, maxValue: 1, automationRate: 'k-rate' },
+      { name: 'listen', defaultValue: 0, minValue: 0, maxValue: 1, automationRate: 'k-rate' }
+    ];
+  }
+
+  constructor(options) {
+    super();
+    const bands = options?.processorOptions?.bands || [];
+    this.bands = bands.map(({ frequency, q }) => {
+      const w0 = 2 * Math.PI * frequency / sampleRate;
+      const alpha = Math.sin(w0) / (2 * q);
+      const cos = Math.cos(w0);
+      const a0 = 1 + alpha;
+      const detectorState = [];
+      const cutState = [];
+      for (let ch = 0; ch < MAX_CHANNELS; ch++) {
+        detectorState.push(new Float64Array(4));
+        cutState.push(new Float64Array(4));
+      }
+      return {
+        cos,
+        alpha,
+        // RBJ bandpass, 0 dB at the centre frequency
+        detector: { b0: alpha / a0, b1: 0, b2: -alpha / a0, a1: -2 * cos / a0, a2: (1 - alpha) / a0 },
+        detectorState,
+        cut: { b0: 1, b1: 0, b2: 0, a1: 0, a2: 0 },  // Updated every sample by updateCut
+        cutState,
+        envelope: 0
+      };
+    });
+
+    this.attackCoeff = Math.exp(-1 / (ATTACK_SEC * sampleRate));
+    this.releaseCoeff = Math.exp(-1 / (RELEASE_SEC * sampleRate));
+
+    // Current frame per channel: input, processed audio and the detector sum
+    this.dry = new Float64Array(MAX_CHANNELS);
+    this.samples = new Float64Array(MAX_CHANNELS);
+    this.heard = new Float64Array(MAX_CHANNELS);
+
+    // Gain reduction reporting
+    this.reportGainReduction = !!options?.processorOptions?.reportGainReduction;
+    this.reportInterval = Math.round(sampleRate * REPORT_INTERVAL_SEC);
+    this.reportCounter = 0;
+    this.maxReduction = 0;
+  }
+
+  filter(x, coeffs, state) {
+    const y = coeffs.b0 * x + coeffs.b1 * state[0] + coeffs.b2 * state[1]
+      - coeffs.a1 * state[2] - coeffs.a2 * state[3];
+    state[1] = state[0]; state[0] = x;
+    state[3] = state[2]; state[2] = y;
+    return y;
+  }
+
+  /**
+   * Set a band's RBJ peaking filter coefficients for the given gain
+   */
+  updateCut(band, gainDb) {
+    const A = Math.pow(10, gainDb / 40);
+    const a0 = 1 + band.alpha / A;
+    const cut = band.cut;
+    cut.b0 = (1 + band.alpha * A) / a0;
+    cut.b1 = -2 * band.cos / a0;
+    cut.b2 = (1 - band.alpha * A) / a0;
+    cut.a1 = cut.b1;
+    cut.a2 = (1 - band.alpha / A) / a0;
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const numChannels = Math.min(output.length, MAX_CHANNELS);
+    const frames = output[0].length;
+
+    const enabled = parameters.enabled[0] >= 0.5;
+    const listen = enabled && parameters.listen[0] >= 0.5;
+    const threshold = parameters.threshold[0];
+    const range = parameters.range[0];
+    const { dry, samples, heard } = this;
+
+    for (let i = 0; i < frames; i++) {
+      for (let ch = 0; ch < numChannels; ch++) {
+        // Mono input is shared by both outputs
+        const source = input[ch] || input[0];
+        dry[ch] = source ? source[i] : 0;
+        samples[ch] = dry[ch];
+        heard[ch] = 0;
+      }
+
+      if (enabled) {
+        // Every detector hears the unprocessed input, so no band reacts to another's cut
+        for (const band of this.bands) {
+          // Stereo-linked peak of the band, smoothed by the envelope follower
+          let peak = 0;
+          for (let ch = 0; ch < numChannels; ch++) {
+            const detected = this.filter(dry[ch], band.detector, band.detectorState[ch]);
+            heard[ch] += detected;
+            const abs = Math.abs(detected);
+            if (abs > peak) peak = abs;
+          }
+          const coeff = peak > band.envelope ? this.attackCoeff : this.releaseCoeff;
+          band.envelope = peak + (band.envelope - peak) * coeff;
+
+          const levelDb = band.envelope > 0 ? 20 * Math.log10(band.envelope) : -Infinity;
+          const cut = Math.min(range, Math.max(0, (levelDb - threshold) * (1 - 1 / RATIO)));
+          if (-cut < this.maxReduction) this.maxReduction = -cut;
+          this.updateCut(band, -cut);
+        }
+
+        // Then the cuts, in series
+        for (const band of this.bands) {
+          for (let ch = 0; ch < numChannels; ch++) {
+            samples[ch] = this.filter(samples[ch], band.cut, band.cutState[ch]);
+          }
+        }
+      }
+
+      for (let ch = 0; ch < numChannels; ch++) {
+        output[ch][i] = listen ? heard[ch] : samples[ch];
+      }
+    }
+
+    if (this.reportGainReduction) {
+      this.reportCounter += frames;
+      if (this.reportCounter >= this.reportInterval) {
+        this.port.postMessage({ reduction: this.maxReduction });
+        this.reportCounter = 0;
+        this.maxReduction = 0;
+      }
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('dynamic-eq', DynamicEQProcessor);
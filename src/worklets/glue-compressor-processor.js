@@ -0,0 +1,158 @@
+/**
+ * glue-compressor-processor.js - Stereo-linked bus compressor (AudioWorklet)
+ *
+ * Feed-forward peak compressor with a soft knee. Both channels share one gain
+ * computed from the louder channel, so the stereo image doesn't shift. The
+ * detector can be fed through a sidechain highpass so bass energy doesn't
+ * drive the gain reduction (pumping) while the audio itself stays full range.
+ *
+ * Gain computer (dB): below threshold - knee/2 no reduction, above
+ * threshold + knee/2 the ratio applies, quadratic in between. The reduction
+ * is smoothed with separate attack and release time constants, then makeup
+ * gain is applied. No lookahead, so no added latency.
+ *
+ * With processorOptions.reportGainReduction, the deepest gain reduction of
+ * each ~20ms is posted to the main thread.
+ *
+ * Messages out: { reduction } (dB, 0 or negative - like DynamicsCompressorNode.reduction)
+ */
+
+const MAX_CHANNELS = 2;
+const REPORT_INTERVAL_SEC = 0.02;
+const MIN_LEVEL_DB = -120;
+
+class GlueCompressorProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      { name: 'threshold', defaultValue: -18, minValue: -60, maxValue: 0, automationRate: 'k-rate' },
+      { name: 'ratio', defaultValue: 3, minValue: 1, maxValue: 20, automationRate: 'k-rate' },
+      { name: 'attack', defaultValue: 0.02, minValue: 0.0001, maxValue: 1, automationRate: 'k-rate' },
+      { name: 'release', defaultValue: 0.25, minValue: 0.001, maxValue: 2, automationRate: 'k-rate' },
+      { name: 'knee', defaultValue: 10, minValue: 0, maxValue: 40, automationRate: 'k-rate' },
+      { name: 'makeup', defaultValue: 0, minValue: -24, maxValue: 24, automationRate: 'k-rate' },
+      // Sidechain highpass cutoff in Hz, 0 = off
+      { name: 'sidechainHz', defaultValue: 0, minValue: 0, maxValue: 1000, automationRate: 'k-rate' },
+      { name: 'enabled', defaultValue: 1, minValue: 0, maxValue: 1, automationRate: 'k-rate' }
+    ];
+  }
+
+  constructor(options) {
+    super();
+    // Sidechain highpass state per channel: [x1, x2, y1, y2]
+    this.sidechainState = [];
+    for (let ch = 0; ch < MAX_CHANNELS; ch++) {
+      this.sidechainState.push(new Float64Array(4));
+    }
+    this.sidechainHz = -1;
+    this.sidechain = null;
+
+    this.envelope = 0;  // Smoothed gain reduction (dB, <= 0)
+
+    // Gain reduction reporting
+    this.reportGainReduction = !!options?.processorOptions?.reportGainReduction;
+    this.reportInterval = Math.round(sampleRate * REPORT_INTERVAL_SEC);
+    this.reportCounter = 0;
+    this.maxReduction = 0;
+  }
+
+  /**
+   * Butterworth highpass coefficients (RBJ cookbook, Q = 1/sqrt(2)), or null when off
+   */
+  updateSidechain(frequency) {
+    if (frequency === this.sidechainHz) return;
+    this.sidechainHz = frequency;
+    this.sidechainState.forEach(state => state.fill(0));
+    if (frequency <= 0 || frequency >= sampleRate / 2) {
+      this.sidechain = null;
+      return;
+    }
+    const w0 = 2 * Math.PI * frequency / sampleRate;
+    const alpha = Math.sin(w0) / (2 * Math.SQRT1_2);
+    const cos = Math.cos(w0);
+    const a0 = 1 + alpha;
+    this.sidechain = {
+      b0: (1 + cos) / 2 / a0,
+      b1: -(1 + cos) / a0,
+      b2: (1 + cos) / 2 / a0,
+      a1: -2 * cos / a0,
+      a2: (1 - alpha) / a0
+    };
+  }
+
+  filter(x, coeffs, state) {
+    const y = coeffs.b0 * x + coeffs.b1 * state[0] + coeffs.b2 * state[1]
+      - coeffs.a1 * state[2] - coeffs.a2 * state[3];
+    state[1] = state[0]; state[0] = x;
+    state[3] = state[2]; state[2] = y;
+    return y;
+  }
+
+  /**
+   * Static gain reduction (dB, <= 0) for a detector level in dB
+   */
+  computeReduction(levelDb, threshold, ratio, knee) {
+    const over = levelDb - threshold;
+    const slope = 1 / ratio - 1;
+    if (2 * over <= -knee) return 0;
+    if (2 * Math.abs(over) < knee) return slope * (over + knee / 2) ** 2 / (2 * knee);
+    return slope * over;
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const numChannels = Math.min(output.length, MAX_CHANNELS);
+    const frames = output[0].length;
+
+    const enabled = parameters.enabled[0] >= 0.5;
+    const threshold = parameters.threshold[0];
+    const ratio = parameters.ratio[0];
+    const knee = parameters.knee[0];
+    const makeupLinear = Math.pow(10, parameters.makeup[0] / 20);
+    const attackCoeff = Math.exp(-1 / (parameters.attack[0] * sampleRate));
+    const releaseCoeff = Math.exp(-1 / (parameters.release[0] * sampleRate));
+    this.updateSidechain(parameters.sidechainHz[0]);
+
+    for (let i = 0; i < frames; i++) {
+      let peak = 0;
+      for (let ch = 0; ch < numChannels; ch++) {
+        // Mono input is shared by both outputs
+        const source = input[ch] || input[0];
+        const x = source ? source[i] : 0;
+        const detected = this.sidechain ? this.filter(x, this.sidechain, this.sidechainState[ch]) : x;
+        const abs = Math.abs(detected);
+        if (abs > peak) peak = abs;
+      }
+
+      let gain = 1;
+      if (enabled) {
+        const levelDb = peak > 0 ? Math.max(MIN_LEVEL_DB, 20 * Math.log10(peak)) : MIN_LEVEL_DB;
+        const target = this.computeReduction(levelDb, threshold, ratio, knee);
+        const coeff = target < this.envelope ? attackCoeff : releaseCoeff;
+        this.envelope = target + (this.envelope - target) * coeff;
+        if (this.envelope < this.maxReduction) this.maxReduction = this.envelope;
+        gain = Math.pow(10, this.envelope / 20) * makeupLinear;
+      } else {
+        this.envelope = 0;
+      }
+
+      for (let ch = 0; ch < numChannels; ch++) {
+        const source = input[ch] || input[0];
+        output[ch][i] = source ? source[i] * gain : 0;
+      }
+    }
+
+    if (this.reportGainReduction) {
+      this.reportCounter += frames;
+      if (this.reportCounter >= this.reportInterval) {
+        this.port.postMessage({ reduction: this.maxReduction });
+        this.reportCounter = 0;
+        this.maxReduction = 0;
+      }
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('glue-compressor', GlueCompressorProcessor);
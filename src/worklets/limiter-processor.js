@@ -0,0 +1,177 @@
+/**
+ * limiter-processor.js - Lookahead true-peak brickwall limiter (AudioWorklet)
+ *
+ * Detection runs on a 4x oversampled signal (ITU-R BS.1770-4 Annex 2 filter),
+ * so inter-sample peaks are caught as well as sample peaks. The audio is
+ * delayed by the lookahead window, letting the gain reach its target before
+ * the peak arrives.
+ *
+ * Gain computer: sliding minimum of the required gain over the lookahead
+ * window -> release smoothing (upward only) -> moving average over the same
+ * window. Each stage never rises above the gain a peak requires by the time
+ * that peak leaves the delay line, which is what makes it a brickwall.
+ *
+ * Latency: lookaheadSamples - 1 + FILTER_DELAY samples.
+ *
+ * With processorOptions.reportGainReduction, the deepest gain reduction of
+ * each ~20ms is posted to the main thread.
+ *
+ * Messages out: { reduction } (dB, 0 or negative - like DynamicsCompressorNode.reduction)
+ */
+
+import {
+  TRUE_PEAK_FILTER, TRUE_PEAK_FILTER_DELAY as FILTER_DELAY, TRUE_PEAK_FILTER_TAPS as FILTER_TAPS
+} from '../truePeakFilter.js';
+
+const MAX_CHANNELS = 2;
+const REPORT_INTERVAL_SEC = 0.02;
+
+class TruePeakLimiterProcessor extends AudioWorkletProcessor {
+  static get parameterDescriptors() {
+    return [
+      { name: 'ceiling', defaultValue: -1, minValue: -24, maxValue: 0, automationRate: 'k-rate' },
+      { name: 'release', defaultValue: 0.05, minValue: 0.001, maxValue: 2, automationRate: 'k-rate' },
+      { name: 'enabled', defaultValue: 1, minValue: 0, maxValue: 1, automationRate: 'k-rate' }
+    ];
+  }
+
+  constructor(options) {
+    super();
+    const lookahead = options?.processorOptions?.lookaheadSamples ?? Math.round(sampleRate * 0.005);
+    this.lookahead = Math.max(FILTER_DELAY + 2, lookahead);
+    this.delaySamples = this.lookahead - 1 + FILTER_DELAY;
+
+    // Per-channel input history (interpolation filter) and audio delay line
+    this.historySize = Math.max(FILTER_TAPS, this.delaySamples + 1);
+    this.history = [];
+    for (let ch = 0; ch < MAX_CHANNELS; ch++) {
+      this.history.push(new Float32Array(this.historySize));
+    }
+    this.writePos = 0;
+
+    // Sliding minimum (monotonic deque) over the lookahead window
+    this.minIndex = new Float64Array(this.lookahead + 1);
+    this.minValue = new Float32Array(this.lookahead + 1);
+    this.minHead = 0;
+    this.minTail = 0;
+    this.sampleIndex = 0;
+
+    // Moving average of the smoothed gain
+    this.boxBuffer = new Float32Array(this.lookahead).fill(1);
+    this.boxPos = 0;
+    this.boxSum = this.lookahead;
+
+    this.envelope = 1;
+
+    // Gain reduction reporting
+    this.reportGainReduction = !!options?.processorOptions?.reportGainReduction;
+    this.reportInterval = Math.round(sampleRate * REPORT_INTERVAL_SEC);
+    this.reportCounter = 0;
+    this.minGain = 1;
+  }
+
+  pushMin(value) {
+    const size = this.minIndex.length;
+    const index = this.sampleIndex++;
+
+    // Drop values that can never be the minimum again
+    while (this.minHead !== this.minTail) {
+      const last = (this.minTail - 1 + size) % size;
+      if (this.minValue[last] < value) break;
+      this.minTail = last;
+    }
+    this.minIndex[this.minTail] = index;
+    this.minValue[this.minTail] = value;
+    this.minTail = (this.minTail + 1) % size;
+
+    // Expire values that left the window
+    while (this.minIndex[this.minHead] <= index - this.lookahead) {
+      this.minHead = (this.minHead + 1) % size;
+    }
+    return this.minValue[this.minHead];
+  }
+
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+    const output = outputs[0];
+    const numChannels = Math.min(output.length, MAX_CHANNELS);
+    const frames = output[0].length;
+
+    const enabled = parameters.enabled[0] >= 0.5;
+    const ceilingLinear = Math.pow(10, parameters.ceiling[0] / 20);
+    const releaseCoeff = 1 - Math.exp(-1 / (parameters.release[0] * sampleRate));
+    const size = this.historySize;
+
+    for (let i = 0; i < frames; i++) {
+      const pos = this.writePos;
+      let peak = 0;
+
+      for (let ch = 0; ch < numChannels; ch++) {
+        // Mono input is shared by both outputs
+        const source = input[ch] || input[0];
+        const history = this.history[ch];
+        history[pos] = source ? source[i] : 0;
+
+        if (!enabled) continue;
+
+        // Sample peak aligned with the interpolation filter delay
+        const aligned = Math.abs(history[(pos - FILTER_DELAY + size) % size]);
+        if (aligned > peak) peak = aligned;
+
+        // Inter-sample peaks (4x oversampled)
+        for (let phase = 0; phase < TRUE_PEAK_FILTER.length; phase++) {
+          const coeffs = TRUE_PEAK_FILTER[phase];
+          let acc = 0;
+          for (let k = 0; k < FILTER_TAPS; k++) {
+            acc += coeffs[k] * history[(pos - k + size) % size];
+          }
+          const abs = Math.abs(acc);
+          if (abs > peak) peak = abs;
+        }
+      }
+
+      // Gain required for this (delayed) moment to sit at the ceiling
+      const required = peak > ceilingLinear ? ceilingLinear / peak : 1;
+      const windowMin = this.pushMin(required);
+
+      // Instant attack, smoothed release
+      if (windowMin < this.envelope) {
+        this.envelope = windowMin;
+      } else {
+        this.envelope += (windowMin - this.envelope) * releaseCoeff;
+      }
+
+      // Moving average spreads the attack across the lookahead window
+      this.boxSum += this.envelope - this.boxBuffer[this.boxPos];
+      this.boxBuffer[this.boxPos] = this.envelope;
+      this.boxPos = (this.boxPos + 1) % this.lookahead;
+      const gain = Math.min(1, this.boxSum / this.lookahead);
+      if (gain < this.minGain) this.minGain = gain;
+
+      const readPos = (pos - this.delaySamples + size) % size;
+      for (let ch = 0; ch < numChannels; ch++) {
+        output[ch][i] = this.history[ch][readPos] * gain;
+      }
+
+      this.writePos = (pos + 1) % size;
+    }
+
+    if (this.reportGainReduction) {
+      this.reportCounter += frames;
+      if (this.reportCounter >= this.reportInterval) {
+        this.port.postMessage({ reduction: 20 * Math.log10(Math.max(1e-6, this.minGain)) });
+        this.reportCounter = 0;
+        this.minGain = 1;
+      }
+    }
+
+    // Periodically resync the running sum to avoid floating point drift
+    if (this.sampleIndex % (sampleRate * 10) < frames) {
+      this.boxSum = this.boxBuffer.reduce((a, b) => a + b, 0);
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('true-peak-limiter', TruePeakLimiterProcessor);
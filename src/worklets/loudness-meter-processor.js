@@ -0,0 +1,157 @@
+/**
+ * loudness-meter-processor.js - Real-time EBU R128 loudness meter (AudioWorklet)
+ *
+ * K-weights the input, sums weighted channel energy into 100ms sub-blocks, posts
+ * momentary (400ms), short-term (3s) and running integrated loudness to the
+ * main thread every 100ms. Integrated loudness is gated (ITU-R BS.1770-4)
+ * using a 0.1 LU histogram so memory stays constant however long it runs.
+ *
+ * K-weighting coefficients and BS.1770 channel weights are passed in via
+ * processorOptions (kWeighting, channelWeights) so they match the offline
+ * measurement in loudness.js exactly.
+ *
+ * Messages in:  { type: 'reset' }
+ * Messages out: { momentary, shortTerm, integrated } (LUFS, -Infinity when silent)
+ */
+
+const SUB_BLOCK_SEC = 0.1;
+const MOMENTARY_BLOCKS = 4;     // 400ms
+const SHORT_TERM_BLOCKS = 30;   // 3s
+const LOUDNESS_OFFSET = -0.691;
+const ABSOLUTE_GATE_LUFS = -70;
+const RELATIVE_GATE_OFFSET = 0.1;  // -10 dB
+const HISTOGRAM_MAX_LUFS = 5;
+const HISTOGRAM_STEP = 0.1;
+const MAX_CHANNELS = 2;
+
+function toLufs(meanSquare) {
+  return meanSquare > 0 ? LOUDNESS_OFFSET + 10 * Math.log10(meanSquare) : -Infinity;
+}
+
+class LoudnessMeterProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+    const { kWeighting, channelWeights } = options.processorOptions;
+    this.shelf = kWeighting.shelf;
+    this.highPass = kWeighting.highPass;
+    this.channelWeights = channelWeights || new Array(MAX_CHANNELS).fill(1);
+
+    this.subBlockSize = Math.round(sampleRate * SUB_BLOCK_SEC);
+    this.subBlocks = new Float64Array(SHORT_TERM_BLOCKS);
+
+    const bins = Math.round((HISTOGRAM_MAX_LUFS - ABSOLUTE_GATE_LUFS) / HISTOGRAM_STEP);
+    this.histogramCount = new Uint32Array(bins);
+    this.histogramEnergy = new Float64Array(bins);
+
+    this.reset();
+    this.port.onmessage = (event) => {
+      if (event.data?.type === 'reset') this.reset();
+    };
+  }
+
+  reset() {
+    // Filter state per channel: [x1, x2, y1, y2] for each stage
+    this.shelfState = [];
+    this.highPassState = [];
+    for (let ch = 0; ch < MAX_CHANNELS; ch++) {
+      this.shelfState.push(new Float64Array(4));
+      this.highPassState.push(new Float64Array(4));
+    }
+    this.subBlocks.fill(0);
+    this.subBlockPos = 0;
+    this.blocksSeen = 0;
+    this.accumulator = 0;
+    this.accumulated = 0;
+    this.histogramCount.fill(0);
+    this.histogramEnergy.fill(0);
+  }
+
+  filter(x, coeffs, state) {
+    const y = coeffs.b0 * x + coeffs.b1 * state[0] + coeffs.b2 * state[1]
+      - coeffs.a1 * state[2] - coeffs.a2 * state[3];
+    state[1] = state[0]; state[0] = x;
+    state[3] = state[2]; state[2] = y;
+    return y;
+  }
+
+  meanOfLast(count) {
+    if (this.blocksSeen < count) return 0;
+    let sum = 0;
+    for (let i = 1; i <= count; i++) {
+      sum += this.subBlocks[(this.subBlockPos - i + SHORT_TERM_BLOCKS) % SHORT_TERM_BLOCKS];
+    }
+    return sum / count;
+  }
+
+  addToHistogram(meanSquare) {
+    const lufs = toLufs(meanSquare);
+    if (lufs <= ABSOLUTE_GATE_LUFS) return;
+    const bin = Math.min(
+      this.histogramCount.length - 1,
+      Math.floor((lufs - ABSOLUTE_GATE_LUFS) / HISTOGRAM_STEP)
+    );
+    this.histogramCount[bin]++;
+    this.histogramEnergy[bin] += meanSquare;
+  }
+
+  integrated() {
+    let count = 0;
+    let energy = 0;
+    for (let i = 0; i < this.histogramCount.length; i++) {
+      count += this.histogramCount[i];
+      energy += this.histogramEnergy[i];
+    }
+    if (count === 0) return -Infinity;
+
+    // Relative gate: drop blocks more than 10 LU below the absolute-gated mean
+    const threshold = (energy / count) * RELATIVE_GATE_OFFSET;
+    count = 0;
+    energy = 0;
+    for (let i = 0; i < this.histogramCount.length; i++) {
+      const binCount = this.histogramCount[i];
+      if (binCount > 0 && this.histogramEnergy[i] / binCount > threshold) {
+        count += binCount;
+        energy += this.histogramEnergy[i];
+      }
+    }
+    return count > 0 ? toLufs(energy / count) : -Infinity;
+  }
+
+  process(inputs) {
+    const input = inputs[0];
+    if (!input || input.length === 0) return true;
+
+    const numChannels = Math.min(input.length, MAX_CHANNELS, this.channelWeights.length);
+    const frames = input[0].length;
+
+    for (let i = 0; i < frames; i++) {
+      for (let ch = 0; ch < numChannels; ch++) {
+        let y = this.filter(input[ch][i], this.shelf, this.shelfState[ch]);
+        y = this.filter(y, this.highPass, this.highPassState[ch]);
+        this.accumulator += y * y * this.channelWeights[ch];
+      }
+
+      if (++this.accumulated >= this.subBlockSize) {
+        this.subBlocks[this.subBlockPos] = this.accumulator / this.subBlockSize;
+        this.subBlockPos = (this.subBlockPos + 1) % SHORT_TERM_BLOCKS;
+        this.blocksSeen++;
+        this.accumulator = 0;
+        this.accumulated = 0;
+
+        // Momentary blocks (400ms, 75% overlap) feed the integrated measurement
+        const momentary = this.meanOfLast(MOMENTARY_BLOCKS);
+        if (this.blocksSeen >= MOMENTARY_BLOCKS) this.addToHistogram(momentary);
+
+        this.port.postMessage({
+          momentary: this.blocksSeen >= MOMENTARY_BLOCKS ? toLufs(momentary) : -Infinity,
+          shortTerm: this.blocksSeen >= SHORT_TERM_BLOCKS ? toLufs(this.meanOfLast(SHORT_TERM_BLOCKS)) : -Infinity,
+          integrated: this.integrated()
+        });
+      }
+    }
+
+    return true;
+  }
+}
+
+registerProcessor('loudness-meter', LoudnessMeterProcessor);
@@ -0,0 +1,140 @@
+/**
+ * Tests for the settings, parametric EQ, glue compressor and multiband helpers in audioConstants.js
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  AUDIO_CONSTANTS, EQ_PRESETS, eqPresetToBands, getGlueMakeupDb, validateEQBands, validateMultiband, validateSettings
+} from '../audioConstants.js';
+
+describe('Parametric EQ bands', () => {
+  test('presets load onto the classic 5-band layout', () => {
+    const bands = eqPresetToBands(EQ_PRESETS.vocal);
+    assert.deepEqual(bands.map(band => band.frequency), [80, 250, 1000, 4000, 12000]);
+    assert.deepEqual(bands.map(band => band.gain), [-2, -1, 2, 3, 1]);
+    assert.deepEqual(bands.map(band => band.type), ['lowShelf', 'bell', 'bell', 'bell', 'highShelf']);
+  });
+
+  test('clamps values and drops unknown types', () => {
+    const bands = validateEQBands([
+      { type: 'bell', frequency: 5, gain: 30, q: 100 },
+      { type: 'wobble', frequency: 1000, gain: 0, q: 1 },
+      { type: 'highPass', frequency: 40000, gain: 6, q: 'x' }
+    ]);
+    assert.deepEqual(bands, [
+      { type: 'bell', frequency: 20, gain: 12, q: 18, routing: 'stereo' },
+      { type: 'highPass', frequency: 20000, gain: 0, q: Math.SQRT1_2, routing: 'stereo' }
+    ]);
+  });
+
+  test('keeps valid routings and defaults the rest to stereo', () => {
+    const bands = validateEQBands([
+      { type: 'bell', frequency: 8000, gain: 2, q: 1, routing: 'side' },
+      { type: 'bell', frequency: 8000, gain: 2, q: 1, routing: 'center' }
+    ]);
+    assert.deepEqual(bands.map(band => band.routing), ['side', 'stereo']);
+  });
+
+  test('keeps at most MAX_BANDS bands', () => {
+    const bands = Array.from({ length: 12 }, () => ({ type: 'bell', frequency: 1000, gain: 1, q: 1 }));
+    assert.equal(validateEQBands(bands).length, AUDIO_CONSTANTS.PARAMETRIC_EQ.MAX_BANDS);
+  });
+
+  test('validateSettings falls back to the flat default layout', () => {
+    assert.deepEqual(validateSettings({ eqBands: 'nope' }).eqBands, eqPresetToBands(EQ_PRESETS.flat));
+  });
+});
+
+describe('Multiband compressor settings', () => {
+  test('defaults to a disabled 3-band split', () => {
+    const multiband = validateSettings({}).multiband;
+    assert.equal(multiband.enabled, false);
+    assert.deepEqual(multiband.crossovers, AUDIO_CONSTANTS.MULTIBAND.DEFAULT_CROSSOVERS[3]);
+    assert.equal(multiband.bands.length, 3);
+  });
+
+  test('sorts crossovers and keeps them apart and in range', () => {
+    const { crossovers } = validateMultiband({ bandCount: 4, crossovers: [15000, 10, 15000] });
+    const { MIN_CROSSOVER, MAX_CROSSOVER, MIN_CROSSOVER_RATIO } = AUDIO_CONSTANTS.MULTIBAND;
+    assert.equal(crossovers[0], MIN_CROSSOVER);
+    assert.equal(crossovers[2], MAX_CROSSOVER);
+    for (let i = 1; i < crossovers.length; i++) {
+      assert.ok(crossovers[i] / crossovers[i - 1] >= MIN_CROSSOVER_RATIO - 1e-9);
+    }
+  });
+
+  test('uses the default crossovers when the count does not match the band count', () => {
+    const { crossovers, bands } = validateMultiband({ bandCount: 4, crossovers: [200, 3000] });
+    assert.deepEqual(crossovers, AUDIO_CONSTANTS.MULTIBAND.DEFAULT_CROSSOVERS[4]);
+    assert.equal(bands.length, 4);
+  });
+
+  test('clamps band parameters', () => {
+    const { bands } = validateMultiband({ bands: [{ threshold: -100, ratio: 0.5, attack: 'x', release: 5000, makeup: 20, bypass: 1 }] });
+    assert.deepEqual(bands[0], { threshold: -60, ratio: 1, attack: 20, release: 1000, makeup: 12, bypass: true });
+  });
+});
+
+describe('Glue compressor settings', () => {
+  test('defaults match the classic fixed glue settings', () => {
+    const settings = validateSettings({});
+    assert.equal(settings.glueThreshold, -18);
+    assert.equal(settings.glueRatio, 3);
+    assert.equal(settings.glueAttack, 20);
+    assert.equal(settings.glueRelease, 250);
+    assert.equal(settings.glueKnee, 10);
+    assert.equal(settings.glueSidechainHz, 0);
+  });
+
+  test('auto makeup restores half the full-scale gain reduction', () => {
+    // -18 dB threshold at 3:1 reduces a 0 dBFS peak by 12 dB
+    assert.ok(Math.abs(getGlueMakeupDb(validateSettings({ glueAutoMakeup: true, glueMakeup: 4 })) - 6) < 1e-9);
+    assert.equal(getGlueMakeupDb(validateSettings({ glueAutoMakeup: false, glueMakeup: 4 })), 4);
+  });
+
+  test('rejects sidechain frequencies that are not offered', () => {
+    assert.equal(validateSettings({ glueSidechainHz: 75 }).glueSidechainHz, 0);
+    assert.equal(validateSettings({ glueSidechainHz: '150' }).glueSidechainHz, 150);
+  });
+});
+
+describe('Tame Harshness settings', () => {
+  test('mode must be static or dynamic', () => {
+    assert.equal(validateSettings({ tameHarshMode: 'dynamic' }).tameHarshMode, 'dynamic');
+    assert.equal(validateSettings({ tameHarshMode: 'multiband' }).tameHarshMode, 'static');
+  });
+
+  test('clamps the dynamic threshold and range', () => {
+    const settings = validateSettings({ harshThreshold: -80, harshRange: 30 });
+    assert.equal(settings.harshThreshold, -60);
+    assert.equal(settings.harshRange, 12);
+  });
+});
+
+describe('Clipper settings', () => {
+  test('defaults to off, cubic knee and 4x oversampling', () => {
+    const settings = validateSettings({});
+    assert.equal(settings.clipper, false);
+    assert.equal(settings.clipperShape, 'cubic');
+    assert.equal(settings.clipperOversample, 4);
+  });
+
+  test('rejects unknown knee shapes and oversampling factors', () => {
+    const settings = validateSettings({ clipperShape: 'tanh', clipperOversample: 8, clipperThreshold: -20 });
+    assert.equal(settings.clipperShape, 'cubic');
+    assert.equal(settings.clipperOversample, 4);
+    assert.equal(settings.clipperThreshold, -12);
+  });
+});
+
+describe('Mono bass settings', () => {
+  test('crossover defaults to and only accepts the MONO_BASS frequencies', () => {
+    const { DEFAULT_FREQUENCY, FREQUENCIES } = AUDIO_CONSTANTS.MONO_BASS;
+    assert.equal(validateSettings({}).centerBassFreq, DEFAULT_FREQUENCY);
+    for (const frequency of FREQUENCIES) {
+      assert.equal(validateSettings({ centerBassFreq: frequency }).centerBassFreq, frequency);
+    }
+    assert.equal(validateSettings({ centerBassFreq: 90 }).centerBassFreq, DEFAULT_FREQUENCY);
+  });
+});
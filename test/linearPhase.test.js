@@ -0,0 +1,58 @@
+/**
+ * Tests for the linear-phase FIR design in linearPhase.js
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { designLinearPhaseFIR, getLinearPhaseFrequencies, getLinearPhaseLatency } from '../src/linearPhase.js';
+
+const LENGTH = 4096;
+
+/**
+ * Magnitude of an FIR at one frequency (DTFT)
+ */
+function firMagnitude(fir, frequency, sampleRate) {
+  let re = 0;
+  let im = 0;
+  for (let n = 0; n < fir.length; n++) {
+    const angle = -2 * Math.PI * frequency * n / sampleRate;
+    re += fir[n] * Math.cos(angle);
+    im += fir[n] * Math.sin(angle);
+  }
+  return Math.hypot(re, im);
+}
+
+describe('Linear-phase FIR design', () => {
+  test('a flat response is a unit impulse at the latency', () => {
+    const fir = designLinearPhaseFIR(new Float32Array(LENGTH / 2 + 1).fill(1), LENGTH);
+    const latency = getLinearPhaseLatency(LENGTH);
+    assert.ok(Math.abs(fir[latency] - 1) < 1e-6);
+    assert.ok(fir.every((value, n) => n === latency || Math.abs(value) < 1e-6));
+  });
+
+  test('is symmetric around the latency', () => {
+    const frequencies = getLinearPhaseFrequencies(48000, LENGTH);
+    const magnitude = frequencies.map(f => 1 + Math.exp(-(((f - 3000) / 800) ** 2)));
+    const fir = designLinearPhaseFIR(magnitude, LENGTH);
+    const latency = getLinearPhaseLatency(LENGTH);
+    for (let m = 1; m < latency; m++) {
+      assert.ok(Math.abs(fir[latency + m] - fir[latency - m]) < 1e-7, `tap ±${m}`);
+    }
+  });
+
+  test('matches a smooth target magnitude', () => {
+    const sampleRate = 48000;
+    const frequencies = getLinearPhaseFrequencies(sampleRate, LENGTH);
+    // +6 dB bell at 3kHz
+    const target = (f) => 1 + Math.exp(-(((f - 3000) / 800) ** 2));
+    const fir = designLinearPhaseFIR(frequencies.map(target), LENGTH);
+    for (const frequency of [200, 2500, 3000, 4000, 12000]) {
+      const db = 20 * Math.log10(firMagnitude(fir, frequency, sampleRate) / target(frequency));
+      assert.ok(Math.abs(db) < 0.1, `${frequency}Hz off by ${db.toFixed(3)} dB`);
+    }
+  });
+
+  test('rejects a magnitude that does not fit the length', () => {
+    assert.throws(() => designLinearPhaseFIR(new Float32Array(10), LENGTH));
+  });
+});
@@ -0,0 +1,228 @@
+/**
+ * BS.1770 conformance tests for loudness.js
+ *
+ * Synthesizes the EBU Tech 3341 (loudness, true peak) and Tech 3342 (loudness
+ * range) minimum-requirement test signals and checks the measurements against
+ * the tolerances those documents specify. Levels are sine peak levels in dBFS,
+ * applied to both channels of a stereo signal.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  detectClipping, getChannelWeights, getKWeightingCoeffs, getTruePeak, measureLUFS, measureLoudness, peakToDb,
+  scanTruePeak
+} from '../src/loudness.js';
+
+const SAMPLE_RATES = [44100, 48000, 96000];
+
+/**
+ * Stereo 1kHz sine built from [level dBFS, seconds] segments, phase-continuous
+ */
+function sineSegments(sampleRate, segments, frequency = 1000) {
+  const length = Math.round(segments.reduce((sum, [, seconds]) => sum + seconds * sampleRate, 0));
+  const data = new Float32Array(length);
+  let pos = 0;
+  for (const [levelDb, seconds] of segments) {
+    const amplitude = Math.pow(10, levelDb / 20);
+    const end = pos + Math.round(seconds * sampleRate);
+    for (; pos < end; pos++) {
+      data[pos] = amplitude * Math.sin(2 * Math.PI * frequency * pos / sampleRate);
+    }
+  }
+  return stereoBuffer(sampleRate, data, data);
+}
+
+function stereoBuffer(sampleRate, left, right) {
+  return channelBuffer(sampleRate, [left, right]);
+}
+
+function channelBuffer(sampleRate, channels) {
+  return {
+    sampleRate,
+    numberOfChannels: channels.length,
+    length: channels[0].length,
+    duration: channels[0].length / sampleRate,
+    getChannelData: (ch) => channels[ch]
+  };
+}
+
+/**
+ * 5.1 buffer (L R C LFE Ls Rs) with a -23 dBFS 1kHz sine in the given channels
+ */
+function surroundBuffer(activeChannels) {
+  const sine = sineSegments(48000, [[-23, 10]]).getChannelData(0);
+  const silence = new Float32Array(sine.length);
+  return channelBuffer(48000, [0, 1, 2, 3, 4, 5].map(ch => (activeChannels.includes(ch) ? sine : silence)));
+}
+
+function assertWithin(actual, expected, tolerance, label) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `${label}: expected ${expected} ±${tolerance}, got ${actual.toFixed(3)}`
+  );
+}
+
+describe('K-weighting', () => {
+  test('matches the 48kHz coefficients published in BS.1770-4', () => {
+    const { shelf, highPass } = getKWeightingCoeffs(48000);
+    const published = {
+      shelf: { b0: 1.53512485958697, b1: -2.69169618940638, b2: 1.19839281085285, a1: -1.69065929318241, a2: 0.73248077421585 },
+      highPass: { b0: 1, b1: -2, b2: 1, a1: -1.99004745483398, a2: 0.99007225036621 }
+    };
+    for (const key of Object.keys(published.shelf)) {
+      assertWithin(shelf[key], published.shelf[key], 1e-12, `shelf ${key}`);
+      assertWithin(highPass[key], published.highPass[key], 1e-12, `highPass ${key}`);
+    }
+  });
+});
+
+describe('Integrated loudness (EBU Tech 3341)', () => {
+  // Tech 3341 table 1: expected -23.0 ±0.1 LUFS unless stated
+  const cases = [
+    { name: 'case 1: 20s at -23 dBFS', segments: [[-23, 20]], expected: -23 },
+    { name: 'case 2: 20s at -33 dBFS', segments: [[-33, 20]], expected: -33 },
+    { name: 'case 3: relative gate, -36/-23/-36 dBFS', segments: [[-36, 10], [-23, 60], [-36, 10]], expected: -23 },
+    { name: 'case 4: absolute and relative gate, -72/-36/-23/-36/-72 dBFS',
+      segments: [[-72, 10], [-36, 10], [-23, 60], [-36, 10], [-72, 10]], expected: -23 },
+    { name: 'case 5: -26/-20/-26 dBFS', segments: [[-26, 20], [-20, 20.1], [-26, 20]], expected: -23 }
+  ];
+
+  for (const sampleRate of SAMPLE_RATES) {
+    for (const { name, segments, expected } of cases) {
+      test(`${name} @ ${sampleRate / 1000}kHz`, () => {
+        assertWithin(measureLUFS(sineSegments(sampleRate, segments)), expected, 0.1, 'integrated');
+      });
+    }
+  }
+
+  test('silence is -Infinity (absolute gate)', () => {
+    assert.equal(measureLUFS(sineSegments(48000, [[-200, 5]])), -Infinity);
+  });
+
+  test('audio shorter than one block is unmeasurable', () => {
+    assert.equal(measureLUFS(sineSegments(48000, [[-23, 0.3]])), -Infinity);
+  });
+});
+
+describe('Channel weighting (BS.1770-4 table 3)', () => {
+  test('mono is measured as a single channel', () => {
+    const mono = channelBuffer(48000, [sineSegments(48000, [[-23, 10]]).getChannelData(0)]);
+    assertWithin(measureLUFS(mono), -26.01, 0.1, 'mono');
+  });
+
+  test('dual mono matches the same signal on both stereo channels', () => {
+    const stereo = sineSegments(48000, [[-23, 10]]);
+    const mono = channelBuffer(48000, [stereo.getChannelData(0)]);
+    assertWithin(measureLUFS(mono, { dualMono: true }), measureLUFS(stereo), 0.001, 'dual mono');
+  });
+
+  test('5.1 surround channels carry the 1.41 weight', () => {
+    const front = measureLUFS(surroundBuffer([0]));
+    const surround = measureLUFS(surroundBuffer([4]));
+    assertWithin(surround - front, 10 * Math.log10(1.41), 0.01, 'surround weight');
+  });
+
+  test('5.1 LFE is excluded', () => {
+    assert.equal(measureLUFS(surroundBuffer([3])), -Infinity);
+    assertWithin(measureLUFS(surroundBuffer([0, 1, 3])), measureLUFS(surroundBuffer([0, 1])), 0.001, 'with LFE');
+  });
+
+  test('unknown layouts weight every channel 1.0', () => {
+    assert.deepEqual(getChannelWeights(7), [1, 1, 1, 1, 1, 1, 1]);
+  });
+});
+
+describe('Short-term loudness (EBU Tech 3341)', () => {
+  test('steady -23 dBFS sine reads -23 short-term', () => {
+    const { maxShortTerm } = measureLoudness(sineSegments(48000, [[-23, 20]]));
+    assertWithin(maxShortTerm, -23, 0.1, 'max short-term');
+  });
+});
+
+describe('Loudness range (EBU Tech 3342)', () => {
+  // Tech 3342 table 1: expected LRA ±1 LU
+  const cases = [
+    { name: 'case 1: -20/-30 dBFS', segments: [[-20, 20], [-30, 20]], expected: 10 },
+    { name: 'case 2: -20/-15 dBFS', segments: [[-20, 20], [-15, 20]], expected: 5 },
+    { name: 'case 3: -40/-20 dBFS', segments: [[-40, 20], [-20, 20]], expected: 20 },
+    { name: 'case 4: -50/-35/-20/-35/-50 dBFS',
+      segments: [[-50, 20], [-35, 20], [-20, 20], [-35, 20], [-50, 20]], expected: 15 }
+  ];
+
+  for (const { name, segments, expected } of cases) {
+    test(`${name} @ 48kHz`, () => {
+      const { lra } = measureLoudness(sineSegments(48000, segments));
+      assertWithin(lra, expected, 1, 'LRA');
+    });
+  }
+});
+
+describe('True peak (EBU Tech 3341)', () => {
+  // Tech 3341 cases 15-18: -6 dBFS sines whose peaks fall between samples.
+  // Tolerance is +0.2/-0.4 dB. The sines are faded in and out so the onset
+  // transient (a genuine inter-sample overshoot) doesn't mask the steady state.
+  const cases = [
+    { name: 'case 15: fs/4, 0° phase', divisor: 4, phaseDeg: 0 },
+    { name: 'case 16: fs/4, 45° phase', divisor: 4, phaseDeg: 45 },
+    { name: 'case 17: fs/6, 60° phase', divisor: 6, phaseDeg: 60 },
+    { name: 'case 18: fs/8, 67.5° phase', divisor: 8, phaseDeg: 67.5 }
+  ];
+
+  for (const { name, divisor, phaseDeg } of cases) {
+    test(`${name} @ 48kHz`, () => {
+      const sampleRate = 48000;
+      const amplitude = Math.pow(10, -6 / 20);
+      const phase = phaseDeg * Math.PI / 180;
+      const fadeLength = sampleRate / 100;
+      const data = new Float32Array(sampleRate);
+      for (let i = 0; i < data.length; i++) {
+        const edge = Math.min(i, data.length - 1 - i);
+        const fade = edge < fadeLength ? 0.5 - 0.5 * Math.cos(Math.PI * edge / fadeLength) : 1;
+        data[i] = fade * amplitude * Math.sin(2 * Math.PI * i / divisor + phase);
+      }
+      const truePeakDb = peakToDb(scanTruePeak(stereoBuffer(sampleRate, data, data)).peak);
+      assert.ok(truePeakDb >= -6.4 && truePeakDb <= -5.8, `expected -6.0 +0.2/-0.4 dBTP, got ${truePeakDb.toFixed(3)}`);
+    });
+  }
+
+  test('getTruePeak on an unfaded block ignores the block edges', () => {
+    // fs/4 at 45°: samples at 0.707 of the -6 dBFS waveform, which starts and ends at full level
+    const amplitude = Math.pow(10, -6 / 20);
+    const data = new Float32Array(2048);
+    for (let i = 0; i < data.length; i++) {
+      data[i] = amplitude * Math.sin(Math.PI * i / 2 + Math.PI / 4);
+    }
+    const truePeakDb = peakToDb(getTruePeak(data));
+    assert.ok(truePeakDb >= -6.4 && truePeakDb <= -5.8, `expected -6.0 +0.2/-0.4 dBTP, got ${truePeakDb.toFixed(3)}`);
+  });
+});
+
+describe('Clipping detection', () => {
+  test('reports runs of full-scale samples in a hard-clipped sine', () => {
+    // +6 dBFS 1kHz sine clipped at 1.0: one flat top and one flat bottom per cycle
+    const data = sineSegments(48000, [[6, 1]]).getChannelData(0).map(x => Math.max(-1, Math.min(1, x)));
+    const { clips, clippedSamples } = detectClipping(channelBuffer(48000, [data]));
+    assertWithin(clips.length, 2000, 2, 'clip runs');
+    assert.ok(clips.every(clip => clip.channel === 0 && clip.samples >= 3));
+    assert.equal(clippedSamples, clips.reduce((sum, clip) => sum + clip.samples, 0));
+  });
+
+  test('a sine below full scale is clean', () => {
+    const { clips, overs } = detectClipping(sineSegments(48000, [[-1, 1]]));
+    assert.equal(clips.length, 0);
+    assert.equal(overs.length, 0);
+  });
+
+  test('finds inter-sample overs with no clipped samples', () => {
+    // fs/4 at 45° phase: samples peak at 0.9 but the waveform between them at 0.9 * sqrt(2)
+    const data = new Float32Array(48000);
+    for (let i = 0; i < data.length; i++) {
+      data[i] = 0.9 * Math.SQRT2 * Math.sin(Math.PI * i / 2 + Math.PI / 4);
+    }
+    const { clips, overs } = detectClipping(stereoBuffer(48000, data, data));
+    assert.equal(clips.length, 0);
+    assert.equal(overs.length, 10);
+    assertWithin(overs[0].peakDb, 20 * Math.log10(0.9 * Math.SQRT2), 0.2, 'over level');
+  });
+});
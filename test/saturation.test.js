@@ -0,0 +1,65 @@
+/**
+ * Tests for the saturation curves in saturation.js
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { AUDIO_CONSTANTS } from '../audioConstants.js';
+import { createLinearCurve, createSaturationCurve } from '../src/saturation.js';
+
+const { HEADROOM, CURVE_SIZE } = AUDIO_CONSTANTS.SATURATION;
+
+/**
+ * Evaluate a WaveShaper curve the way the node does (linear interpolation)
+ * for a signal level x, after the stage's 1 / HEADROOM input gain
+ */
+function shape(curve, x) {
+  const position = (Math.max(-1, Math.min(1, x / HEADROOM)) + 1) / 2 * (curve.length - 1);
+  const index = Math.min(curve.length - 2, Math.floor(position));
+  const fraction = position - index;
+  return curve[index] * (1 - fraction) + curve[index + 1] * fraction;
+}
+
+describe('Saturation curves', () => {
+  const modes = Object.keys(AUDIO_CONSTANTS.SATURATION.MODES);
+
+  test('the linear curve passes every level within the headroom unchanged', () => {
+    const curve = createLinearCurve();
+    for (const x of [-3.5, -1, -0.25, 0, 0.001, 0.5, 1, 2]) {
+      assert.ok(Math.abs(shape(curve, x) - x) < 1e-6, `${x}`);
+    }
+  });
+
+  test('every mode has unity gain for quiet signals and passes silence', () => {
+    for (const mode of modes) {
+      for (const driveDb of [0, 12, 24]) {
+        const curve = createSaturationCurve(mode, driveDb);
+        assert.equal(curve.length, CURVE_SIZE);
+        assert.ok(Math.abs(shape(curve, 0)) < 1e-6, `${mode} at ${driveDb} dB`);
+        const gain = shape(curve, 0.002) / 0.002;
+        assert.ok(Math.abs(gain - 1) < 0.05, `${mode} at ${driveDb} dB: gain ${gain}`);
+      }
+    }
+  });
+
+  test('every mode is monotonic and compresses peaks more with drive', () => {
+    for (const mode of modes) {
+      const gentle = createSaturationCurve(mode, 0);
+      const driven = createSaturationCurve(mode, 12);
+      for (let i = 1; i < CURVE_SIZE; i++) {
+        assert.ok(driven[i] >= driven[i - 1], `${mode} not monotonic at ${i}`);
+      }
+      assert.ok(shape(driven, 1) < shape(gentle, 1), mode);
+      assert.ok(shape(gentle, 1) < 1, mode);
+    }
+  });
+
+  test('tape and soft clip are symmetric, tube is not', () => {
+    for (const mode of ['tape', 'softClip']) {
+      const curve = createSaturationCurve(mode, 6);
+      assert.ok(Math.abs(shape(curve, 0.8) + shape(curve, -0.8)) < 1e-6, mode);
+    }
+    const tube = createSaturationCurve('tube', 6);
+    assert.ok(Math.abs(shape(tube, 0.8) + shape(tube, -0.8)) > 0.01);
+  });
+});
@@ -12,6 +12,11 @@ export default defineConfig({
       },
     }),
   ],
+  // Workers and AudioWorklets (imported with ?worker&url) are bundled as ES
+  // modules, so they can share code such as the true-peak filter
+  worker: {
+    format: 'es'
+  },
   server: {
     headers: {
       'Cross-Origin-Opener-Policy': 'same-origin',